@@ -9,6 +9,7 @@
 // @grant        GM_setValue
 // @grant        GM_getValue
 // @grant        GM_deleteValue
+// @grant        GM_registerMenuCommand
 // @license      MIT
 // @downloadURL https://github.com/Auxority/planningcenter-yt-stream-creator/raw/refs/heads/main/index.user.js
 // @updateURL https://github.com/Auxority/planningcenter-yt-stream-creator/raw/refs/heads/main/index.user.js
@@ -28,7 +29,7 @@ class SettingsStorage {
   static load(key) {
     // eslint-disable-next-line no-undef
     const value = GM_getValue(key);
-    console.debug(`Loaded value for key ${key}: ${value}`);
+    DebugLogging.debug(`Loaded value for key ${key}: ${value}`);
     return value;
   }
 
@@ -38,7 +39,7 @@ class SettingsStorage {
    * @param {unknown} value
    */
   static save(key, value) {
-    console.debug(`Saving value for key ${key}: ${value}`);
+    DebugLogging.debug(`Saving value for key ${key}: ${value}`);
     // eslint-disable-next-line no-undef
     GM_setValue(key, value);
   }
@@ -49,12 +50,1127 @@ class SettingsStorage {
    * @returns {unknown}
    */
   static delete(key) {
-    console.debug(`Deleting value for key: ${key}`);
+    DebugLogging.debug(`Deleting value for key: ${key}`);
     // eslint-disable-next-line no-undef
     GM_deleteValue(key);
   }
 }
 
+/**
+ * Writes the debug messages of the script to the console when debug logging is on, e.g. to send them along with a bug report.
+ * The console itself is left alone, so the debug messages of PlanningCenter are not affected.
+ */
+class DebugLogging {
+  static ENABLED_KEY = "DEBUG_LOGGING";
+
+  /**
+   * Whether debug logging is on, loaded from the storage by {@link DebugLogging.load}.
+   * @type {boolean}
+   */
+  static enabled = false;
+
+  /**
+   * Loads the stored choice, debug logging is off by default.
+   */
+  static load() {
+    this.enabled = SettingsStorage.load(this.ENABLED_KEY) === "true";
+  }
+
+  /**
+   * @returns {boolean} whether debug logging is on.
+   */
+  static isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Writes a debug message to the console when debug logging is on.
+   * @param {...unknown} values - The values to log, like the arguments of console.debug.
+   */
+  static debug(...values) {
+    if (this.enabled) {
+      console.debug(...values);
+    }
+  }
+
+  /**
+   * Turns debug logging on when it is off, or off when it is on.
+   * @returns {boolean} whether debug logging is on now.
+   */
+  static toggle() {
+    this.enabled = !this.enabled;
+    SettingsStorage.save(this.ENABLED_KEY, String(this.enabled));
+
+    return this.enabled;
+  }
+}
+
+/**
+ * Represents the input types that can be used to edit a setting.
+ */
+class SettingType {
+  static TEXT = "text";
+  static TEXTAREA = "textarea";
+  static SELECT = "select";
+  static CHECKBOX = "checkbox";
+}
+
+/**
+ * Translates the texts of the buttons, dialogs and alerts into the language of the user.
+ */
+class Localization {
+  static AUTO = "auto";
+  static ENGLISH = "en";
+  static DUTCH = "nl";
+
+  /**
+   * The language of the user interface, e.g. "en".
+   * @type {string}
+   */
+  static language = Localization.ENGLISH;
+
+  /**
+   * The texts of the user interface by language, placeholders like {error} are replaced by the given values.
+   * Settings are translated by their key, with the English texts of {@link SettingsService.FIELDS} as fallback.
+   */
+  static MESSAGES = {
+    en: {
+      "button.newStream": "New Stream",
+      "button.openStream": "Open Stream",
+      "button.settings": "Stream Settings",
+      "button.sync": "Sync Stream",
+      "button.finalize": "Finalize Recording",
+      "button.bulk": "Bulk Streams",
+      "dialog.cancel": "Cancel",
+      "dialog.close": "Close",
+      "dialog.save": "Save",
+      "dialog.empty": "(empty)",
+      "auth.clientIdPrompt": "Please enter your Google OAuth client ID.",
+      "menu.settings": "Open settings",
+      "menu.logout": "Log out of YouTube",
+      "menu.resetClientId": "Reset OAuth client ID",
+      "menu.history": "View stream history",
+      "menu.debugLogging": "Toggle debug logging",
+      "menu.loggedOut": "You are logged out, access to YouTube has been revoked.",
+      "menu.notLoggedIn": "You are not logged in to YouTube.",
+      "menu.confirmResetClientId": "Do you want to remove the OAuth client ID? You are logged out, and asked for a new client ID the next time YouTube is used.",
+      "menu.clientIdReset": "The OAuth client ID has been removed.",
+      "menu.debugLoggingEnabled": "Debug logging is on. The messages are shown in the console of the browser (F12), at the \"Verbose\" level.",
+      "menu.debugLoggingDisabled": "Debug logging is off.",
+      "historyDialog.title": "Stream history",
+      "historyDialog.empty": "No streams have been recorded in this browser yet.",
+      "historyDialog.noMatches": "No records match the filter.",
+      "historyDialog.plan": "Plan {planId}",
+      "historyDialog.planWithDate": "Plan {planId} ({planDate})",
+      "historyDialog.studio": "YouTube Studio",
+      "historyDialog.details": "Playlist: {playlistId} | Google account: {account}",
+      "historyDialog.search": "Search by title, plan, video or account",
+      "historyDialog.month": "Month of the plan",
+      "historyDialog.allActions": "All actions",
+      "historyDialog.count": "{count} of {total} records",
+      "historyDialog.exportCsv": "Export CSV",
+      "historyDialog.exportJson": "Export JSON",
+      "history.action.created": "Created",
+      "history.action.updated": "Updated",
+      "history.action.failed": "Failed",
+      "settings.title": "YouTube stream settings",
+      "settings.reset": "Reset to defaults",
+      "settings.loadOptions": "Load from YouTube",
+      "settings.loadOptionsFailed": "Could not load the options: {error}",
+      "settings.templateHelp": "Placeholders: {theme}, {preacher}, {note:Category}, {plan:title}, {plan:series_title}, {plan:sort_date}, {service_type}, {date}, {date:EEEE d MMMM yyyy}, {songs}, {chapters}, {section:Name}, {team}. Text between [[ and ]] is left out when one of its placeholders is empty.",
+      "settings.preview": "Preview",
+      "settings.previewUnavailable": "Open the settings on a plan page to see a preview.",
+      "settings.previewLoading": "Loading preview...",
+      "settings.previewFailed": "Could not load the plan for the preview: {error}",
+      "settings.saved": "Settings saved!",
+      "settings.confirmReset": "Do you want to reset all settings to their default values?",
+      "settings.resetDone": "Settings have been reset.",
+      "settings.account": "Google account",
+      "settings.loggedIn": "Logged in, the login is valid until {expiry} and is renewed before it expires.",
+      "settings.loggedOut": "Not logged in. You are asked to log in when YouTube is used.",
+      "settings.switchAccount": "Switch Google account",
+      "settings.logout": "Log out",
+      "settings.loggedOutDone": "You are logged out, access to YouTube has been revoked.",
+      "settings.accountSwitched": "You are logged in with the chosen Google account.",
+      "settings.accountFailed": "Could not change the Google account: {error}",
+      "stream.title": "Title",
+      "stream.description": "Description",
+      "stream.startTime": "Scheduled start",
+      "stream.startTimeInZone": "Scheduled start (time in {timeZone})",
+      "stream.visibility": "Visibility",
+      "stream.playlistId": "Playlist ID (leave empty to skip)",
+      "stream.channel": "YouTube channel",
+      "streamDialog.title": "Create YouTube stream",
+      "streamDialog.create": "Create stream",
+      "streamDialog.update": "Update stream",
+      "streamDialog.replace": "Replace stream",
+      "streamDialog.uploadThumbnail": "Upload this thumbnail",
+      "streamDialog.broadcastOptions": "Broadcast options",
+      "syncDialog.title": "Sync \"{title}\"",
+      "syncDialog.apply": "Apply changes",
+      "bulkDialog.title": "Create streams for upcoming plans",
+      "bulkDialog.noPlans": "This service type has no upcoming plans.",
+      "bulkDialog.create": "Create streams",
+      "bulkDialog.selectPlan": "Select at least one plan.",
+      "bulkDialog.hasStream": "Already has a stream",
+      "bulkDialog.someStreams": "{count} of {total} services already have a stream, only the other services get one",
+      "bulkDialog.mayHaveStream": "Another broadcast is scheduled on this day, check YouTube Studio before creating a stream",
+      "bulkDialog.allExist": "Every service already has a stream.",
+      "bulkDialog.creating": "Creating...",
+      "bulkDialog.created": "Created \"{title}\"",
+      "bulkDialog.failed": "Failed: {error}",
+      "bulkDialog.partial": "Created \"{title}\", failed: {error}",
+      "bulkDialog.summary": "{created} stream(s) created, {failed} failed.",
+      "youtubeError.auth": "YouTube did not accept your login. Log in again with the Google account that manages the channel.",
+      "youtubeError.quota": "The daily YouTube API quota of the Google Cloud project is used up. Try again tomorrow, or request more quota in the Google Cloud Console.",
+      "youtubeError.permission": "Your Google account is not allowed to do this on the YouTube channel. Log in with an account that manages the channel.",
+      "youtubeError.liveStreamingNotEnabled": "Live streaming is not enabled for this YouTube channel. Enable it in YouTube Studio, it can take up to 24 hours before you can stream.",
+      "youtubeError.validation": "YouTube did not accept the details of the request. Check the stream details and the settings, and try again.",
+      "youtubeError.transient": "YouTube can not be reached at the moment. Check the internet connection and try again in a few minutes.",
+      "youtubeError.detail": "{message} YouTube said: {detail}",
+      "channel.tooltip": "Streams are created on the YouTube channel {name}.",
+      "channel.notFound": "The Google account you are logged in with has no YouTube channel. Use \"Switch Google account\" in the settings to log in with the account of the channel.",
+      "channel.mismatch": "You are logged in with the YouTube channel \"{name}\" ({id}), but streams should be created on the channel {expectedId}. Use \"Switch Google account\" in the settings to log in with the account of that channel.",
+      "preflightDialog.title": "Check the plan",
+      "preflightDialog.warnings": "Some data of the plan is missing or does not fit. The stream can still be created, using the fallbacks below.",
+      "preflightDialog.blocked": "The stream can not be created yet. Fill in the following in PlanningCenter and try again.",
+      "preflightDialog.continue": "Continue",
+      "preflightDialog.required": "Required, the stream can not be created without it.",
+      "preflight.preacher": "Preacher",
+      "preflight.theme": "Theme",
+      "preflight.note": "Note \"{category}\"",
+      "preflight.songs": "Songs",
+      "preflight.startTime": "Start time",
+      "preflight.title": "Title",
+      "preflight.noteMissing": "The plan has no note in the category \"{category}\". Add it to the plan in PlanningCenter.",
+      "preflight.songsMissing": "The plan has no songs. Add the songs to the order of service in PlanningCenter.",
+      "preflight.startTimeInPast": "The stream would start at {startTime}, which is in the past. Check the date and the service times of the plan in PlanningCenter.",
+      "preflight.titleEmpty": "The title is empty. Fill in the notes that the title template uses in PlanningCenter, or change the title template in the settings.",
+      "preflight.titleTooLong": "The title has {length} characters, but YouTube allows at most {max}.",
+      "preflight.usingFallback": "\"{fallback}\" is used instead.",
+      "preflight.leftOut": "It is left out of the stream.",
+      "preflight.chooseStartTime": "You can choose another start time in the next step.",
+      "preflight.titleShortened": "The title is shortened to \"{title}\".",
+      "serviceTimeDialog.title": "Choose the services",
+      "serviceTimeDialog.question": "This plan has several services. Which services get a stream?",
+      "serviceTimeDialog.continue": "Continue",
+      "serviceTimeDialog.selectServiceTime": "Select at least one service.",
+      "existingDialog.title": "This plan already has a stream",
+      "existingDialog.question": "An upcoming stream on YouTube already belongs to this plan. Do you want to open, update or replace it?",
+      "existingDialog.scheduled": "Scheduled for {startTime} ({visibility})",
+      "existingDialog.createAnother": "Create another stream",
+      "existingDialog.replace": "Replace",
+      "existingDialog.update": "Update",
+      "existingDialog.open": "Open",
+      "alert.creationCancelled": "Stream creation cancelled.",
+      "alert.createFailed": "Could not create the stream: {error}",
+      "alert.created": "Stream created!",
+      "alert.updateCancelled": "Stream update cancelled.",
+      "alert.updated": "Stream updated!",
+      "alert.updateFailed": "Could not update the stream: {error}",
+      "alert.replaceCancelled": "Stream replacement cancelled.",
+      "alert.replaceFailed": "Could not create the new stream, the existing stream was kept: {error}",
+      "alert.replaced": "Stream replaced!",
+      "alert.deleteFailed": "The new stream was created, but the old stream {videoId} could not be deleted. Delete it in YouTube Studio: {error}",
+      "alert.thumbnailFailed": "The stream was created, but its thumbnail could not be uploaded: {error}",
+      "alert.bindFailed": "The stream was created, but it could not be bound to the default stream key. Choose the stream key in YouTube Studio: {error}",
+      "alert.playlistFailed": "The stream was created, but it could not be added to the playlist: {error}",
+      "alert.linkFailed": "The stream was saved on YouTube, but its link could not be saved in the plan: {error}",
+      "alert.unlinkFailed": "The link of the old stream could not be removed from the plan: {error}",
+      "alert.streamNotFound": "The stream {videoId} no longer exists on YouTube.",
+      "alert.planDataFailed": "The data of the plan could not be loaded from PlanningCenter: {error}",
+      "alert.defaultStreamKeyMissing": "The default stream key no longer exists on YouTube. Please choose another stream key in the stream settings.",
+      "alert.bulkLoadFailed": "The upcoming plans and their streams could not be loaded: {error}",
+      "alert.noStreamsToSync": "This plan has no streams to sync.",
+      "alert.syncCancelled": "Stream sync cancelled.",
+      "alert.upToDate": "\"{title}\" is already up to date.",
+      "alert.synced": "\"{title}\" has been synced.",
+      "alert.syncFailed": "The stream {videoId} could not be synced: {error}",
+      "alert.noStreamsToFinalize": "This plan has no streams to finalize.",
+      "alert.finalizeFailed": "The recording could not be finalized: {error}",
+      "alert.notStarted": "\"{title}\" has not started yet, finalize the recording after the stream.",
+      "alert.tooFewChapters": "Services Live recorded too few items during \"{title}\" for YouTube chapters. At least {count} chapters are needed.",
+      "alert.chaptersUpToDate": "The chapters of \"{title}\" are already up to date.",
+      "alert.finalizeCancelled": "Finalizing the recording cancelled.",
+      "alert.finalized": "The chapters of \"{title}\" have been updated.",
+      "finalizeDialog.title": "Finalize \"{title}\"",
+      "validation.required": "This field is required.",
+      "validation.clientId": "A client ID should end with \"{suffix}\".",
+      "validation.playlistId": "This is not a valid YouTube playlist ID.",
+      "validation.channelId": "This is not a valid YouTube channel ID, it starts with UC and has 24 characters.",
+      "validation.url": "This is not a valid URL.",
+      "validation.seconds": "Enter a number of seconds, e.g. 60.",
+      "validation.minutes": "Enter a number of minutes, e.g. 5.",
+      "validation.locale": "\"{locale}\" is not a supported locale, e.g. \"nl-NL\".",
+      "validation.option": "Choose one of: {options}.",
+      "validation.titleRequired": "The title is required.",
+      "validation.titleTooLong": "The title can be at most {max} characters long.",
+      "validation.titleInvalid": "The title cannot contain newlines, < or >.",
+      "validation.descriptionTooLong": "The description can be at most {max} bytes long.",
+      "validation.descriptionInvalid": "The description cannot contain < or >.",
+      "validation.startTimeInvalid": "The start time is not a valid date.",
+      "validation.startTimeInPast": "The start time should be in the future.",
+      "validation.visibility": "The visibility should be one of: {options}.",
+      "validation.latency": "The latency should be one of: {options}.",
+      "validation.unclosedSection": "Every optional section that starts with [[ should end with ]].",
+      "validation.unknownPlaceholder": "Unknown placeholder {placeholder}.",
+      "validation.sectionsInvalidJson": "The sections are not valid JSON: {error}",
+      "validation.sectionsNotList": "The sections should be a list.",
+      "validation.sectionName": "Every section should have a name.",
+      "validation.sectionSelector": "The section \"{name}\" should select items by itemType, titlePattern or noteCategory.",
+      "validation.sectionTitlePattern": "The titlePattern of the section \"{name}\" is not a valid regular expression: {error}",
+      "validation.sectionField": "The field of the section \"{name}\" should be one of: {options}.",
+      "validation.sectionNoteCategory": "The section \"{name}\" needs a noteCategory to show the note.",
+      "validation.unknownSection": "Unknown section \"{name}\", add it to the description sections in the settings panel.",
+      "validation.layoutInvalidJson": "The layout is not valid JSON: {error}",
+      "validation.layoutTexts": "The layout should contain a list of texts.",
+      "validation.layoutText": "Every text in the layout should have a text, x, y and size.",
+      "note.categoryMissing": "The service type has no \"{category}\" note category, please add it in the service type settings of PlanningCenter.",
+    },
+    nl: {
+      "button.newStream": "Nieuwe stream",
+      "button.openStream": "Stream openen",
+      "button.settings": "Streaminstellingen",
+      "button.sync": "Stream synchroniseren",
+      "button.finalize": "Opname afronden",
+      "button.bulk": "Meerdere streams",
+      "dialog.cancel": "Annuleren",
+      "dialog.close": "Sluiten",
+      "dialog.save": "Opslaan",
+      "dialog.empty": "(leeg)",
+      "auth.clientIdPrompt": "Vul je Google OAuth client-ID in.",
+      "menu.settings": "Instellingen openen",
+      "menu.logout": "Uitloggen bij YouTube",
+      "menu.resetClientId": "OAuth client-ID wissen",
+      "menu.history": "Streamgeschiedenis bekijken",
+      "menu.debugLogging": "Debuglogs aan- of uitzetten",
+      "menu.loggedOut": "Je bent uitgelogd, de toegang tot YouTube is ingetrokken.",
+      "menu.notLoggedIn": "Je bent niet ingelogd bij YouTube.",
+      "menu.confirmResetClientId": "Wil je het OAuth client-ID verwijderen? Je wordt uitgelogd, en de volgende keer dat YouTube wordt gebruikt gevraagd om een nieuw client-ID.",
+      "menu.clientIdReset": "Het OAuth client-ID is verwijderd.",
+      "menu.debugLoggingEnabled": "Debuglogs staan aan. De berichten staan in de console van de browser (F12), op het niveau \"Uitgebreid\".",
+      "menu.debugLoggingDisabled": "Debuglogs staan uit.",
+      "historyDialog.title": "Streamgeschiedenis",
+      "historyDialog.empty": "Er zijn in deze browser nog geen streams vastgelegd.",
+      "historyDialog.noMatches": "Geen enkele regel past bij het filter.",
+      "historyDialog.plan": "Plan {planId}",
+      "historyDialog.planWithDate": "Plan {planId} ({planDate})",
+      "historyDialog.studio": "YouTube Studio",
+      "historyDialog.details": "Afspeellijst: {playlistId} | Google-account: {account}",
+      "historyDialog.search": "Zoek op titel, plan, video of account",
+      "historyDialog.month": "Maand van het plan",
+      "historyDialog.allActions": "Alle acties",
+      "historyDialog.count": "{count} van {total} regels",
+      "historyDialog.exportCsv": "CSV exporteren",
+      "historyDialog.exportJson": "JSON exporteren",
+      "history.action.created": "Aangemaakt",
+      "history.action.updated": "Bijgewerkt",
+      "history.action.failed": "Mislukt",
+      "settings.title": "Instellingen voor YouTube-streams",
+      "settings.reset": "Standaardwaarden herstellen",
+      "settings.loadOptions": "Ophalen van YouTube",
+      "settings.loadOptionsFailed": "De opties konden niet worden opgehaald: {error}",
+      "settings.templateHelp": "Placeholders: {theme}, {preacher}, {note:Categorie}, {plan:title}, {plan:series_title}, {plan:sort_date}, {service_type}, {date}, {date:EEEE d MMMM yyyy}, {songs}, {chapters}, {section:Naam}, {team}. Tekst tussen [[ en ]] wordt weggelaten als een van de placeholders erin leeg is.",
+      "settings.preview": "Voorbeeld",
+      "settings.previewUnavailable": "Open de instellingen op de pagina van een plan om een voorbeeld te zien.",
+      "settings.previewLoading": "Voorbeeld laden...",
+      "settings.previewFailed": "Het plan voor het voorbeeld kon niet worden geladen: {error}",
+      "settings.saved": "Instellingen opgeslagen!",
+      "settings.confirmReset": "Wil je alle instellingen terugzetten naar de standaardwaarden?",
+      "settings.resetDone": "De instellingen zijn teruggezet.",
+      "settings.account": "Google-account",
+      "settings.loggedIn": "Ingelogd, de login is geldig tot {expiry} en wordt vernieuwd voordat die verloopt.",
+      "settings.loggedOut": "Niet ingelogd. Je wordt gevraagd in te loggen zodra YouTube wordt gebruikt.",
+      "settings.switchAccount": "Ander Google-account gebruiken",
+      "settings.logout": "Uitloggen",
+      "settings.loggedOutDone": "Je bent uitgelogd, de toegang tot YouTube is ingetrokken.",
+      "settings.accountSwitched": "Je bent ingelogd met het gekozen Google-account.",
+      "settings.accountFailed": "Het Google-account kon niet worden gewijzigd: {error}",
+      "stream.title": "Titel",
+      "stream.description": "Beschrijving",
+      "stream.startTime": "Geplande start",
+      "stream.startTimeInZone": "Geplande start (tijd in {timeZone})",
+      "stream.visibility": "Zichtbaarheid",
+      "stream.playlistId": "Afspeellijst-ID (leeg laten om over te slaan)",
+      "stream.channel": "YouTube-kanaal",
+      "streamDialog.title": "YouTube-stream aanmaken",
+      "streamDialog.create": "Stream aanmaken",
+      "streamDialog.update": "Stream bijwerken",
+      "streamDialog.replace": "Stream vervangen",
+      "streamDialog.uploadThumbnail": "Deze thumbnail uploaden",
+      "streamDialog.broadcastOptions": "Uitzendopties",
+      "syncDialog.title": "\"{title}\" synchroniseren",
+      "syncDialog.apply": "Wijzigingen toepassen",
+      "bulkDialog.title": "Streams aanmaken voor komende plannen",
+      "bulkDialog.noPlans": "Dit diensttype heeft geen komende plannen.",
+      "bulkDialog.create": "Streams aanmaken",
+      "bulkDialog.selectPlan": "Selecteer minstens één plan.",
+      "bulkDialog.hasStream": "Heeft al een stream",
+      "bulkDialog.someStreams": "{count} van {total} diensten hebben al een stream, alleen de andere diensten krijgen er een",
+      "bulkDialog.mayHaveStream": "Er staat op deze dag al een andere uitzending gepland, controleer YouTube Studio voordat je een stream aanmaakt",
+      "bulkDialog.allExist": "Elke dienst heeft al een stream.",
+      "bulkDialog.creating": "Bezig met aanmaken...",
+      "bulkDialog.created": "\"{title}\" aangemaakt",
+      "bulkDialog.failed": "Mislukt: {error}",
+      "bulkDialog.partial": "\"{title}\" aangemaakt, mislukt: {error}",
+      "bulkDialog.summary": "{created} stream(s) aangemaakt, {failed} mislukt.",
+      "youtubeError.auth": "YouTube heeft je login niet geaccepteerd. Log opnieuw in met het Google-account dat het kanaal beheert.",
+      "youtubeError.quota": "Het dagelijkse YouTube API-quotum van het Google Cloud-project is op. Probeer het morgen opnieuw, of vraag meer quotum aan in de Google Cloud Console.",
+      "youtubeError.permission": "Je Google-account mag dit niet doen op het YouTube-kanaal. Log in met een account dat het kanaal beheert.",
+      "youtubeError.liveStreamingNotEnabled": "Livestreamen is niet ingeschakeld voor dit YouTube-kanaal. Schakel het in via YouTube Studio, het kan tot 24 uur duren voordat je kunt streamen.",
+      "youtubeError.validation": "YouTube heeft de gegevens van het verzoek niet geaccepteerd. Controleer de streamgegevens en de instellingen, en probeer het opnieuw.",
+      "youtubeError.transient": "YouTube is op dit moment niet bereikbaar. Controleer de internetverbinding en probeer het over een paar minuten opnieuw.",
+      "youtubeError.detail": "{message} YouTube meldde: {detail}",
+      "channel.tooltip": "Streams worden aangemaakt op het YouTube-kanaal {name}.",
+      "channel.notFound": "Het Google-account waarmee je bent ingelogd heeft geen YouTube-kanaal. Kies \"Ander Google-account gebruiken\" in de instellingen om in te loggen met het account van het kanaal.",
+      "channel.mismatch": "Je bent ingelogd met het YouTube-kanaal \"{name}\" ({id}), maar streams moeten worden aangemaakt op het kanaal {expectedId}. Kies \"Ander Google-account gebruiken\" in de instellingen om in te loggen met het account van dat kanaal.",
+      "preflightDialog.title": "Controleer het plan",
+      "preflightDialog.warnings": "Sommige gegevens van het plan ontbreken of passen niet. De stream kan toch worden aangemaakt, met de vervangingen hieronder.",
+      "preflightDialog.blocked": "De stream kan nog niet worden aangemaakt. Vul het volgende in PlanningCenter in en probeer het opnieuw.",
+      "preflightDialog.continue": "Doorgaan",
+      "preflightDialog.required": "Verplicht, zonder dit kan de stream niet worden aangemaakt.",
+      "preflight.preacher": "Spreker",
+      "preflight.theme": "Thema",
+      "preflight.note": "Notitie \"{category}\"",
+      "preflight.songs": "Liederen",
+      "preflight.startTime": "Starttijd",
+      "preflight.title": "Titel",
+      "preflight.noteMissing": "Het plan heeft geen notitie in de categorie \"{category}\". Voeg die toe aan het plan in PlanningCenter.",
+      "preflight.songsMissing": "Het plan heeft geen liederen. Voeg de liederen toe aan de liturgie in PlanningCenter.",
+      "preflight.startTimeInPast": "De stream zou beginnen op {startTime}, en dat is in het verleden. Controleer de datum en de diensttijden van het plan in PlanningCenter.",
+      "preflight.titleEmpty": "De titel is leeg. Vul in PlanningCenter de notities in die het titelsjabloon gebruikt, of pas het titelsjabloon aan in de instellingen.",
+      "preflight.titleTooLong": "De titel heeft {length} tekens, maar YouTube staat er maximaal {max} toe.",
+      "preflight.usingFallback": "In plaats daarvan wordt \"{fallback}\" gebruikt.",
+      "preflight.leftOut": "Het wordt weggelaten uit de stream.",
+      "preflight.chooseStartTime": "Je kunt in de volgende stap een andere starttijd kiezen.",
+      "preflight.titleShortened": "De titel wordt ingekort tot \"{title}\".",
+      "serviceTimeDialog.title": "Kies de diensten",
+      "serviceTimeDialog.question": "Dit plan heeft meerdere diensten. Welke diensten krijgen een stream?",
+      "serviceTimeDialog.continue": "Doorgaan",
+      "serviceTimeDialog.selectServiceTime": "Selecteer minstens één dienst.",
+      "existingDialog.title": "Dit plan heeft al een stream",
+      "existingDialog.question": "Er hoort al een komende stream op YouTube bij dit plan. Wil je die openen, bijwerken of vervangen?",
+      "existingDialog.scheduled": "Gepland op {startTime} ({visibility})",
+      "existingDialog.createAnother": "Nog een stream aanmaken",
+      "existingDialog.replace": "Vervangen",
+      "existingDialog.update": "Bijwerken",
+      "existingDialog.open": "Openen",
+      "alert.creationCancelled": "Het aanmaken van de stream is geannuleerd.",
+      "alert.createFailed": "De stream kon niet worden aangemaakt: {error}",
+      "alert.created": "Stream aangemaakt!",
+      "alert.updateCancelled": "Het bijwerken van de stream is geannuleerd.",
+      "alert.updated": "Stream bijgewerkt!",
+      "alert.updateFailed": "De stream kon niet worden bijgewerkt: {error}",
+      "alert.replaceCancelled": "Het vervangen van de stream is geannuleerd.",
+      "alert.replaceFailed": "De nieuwe stream kon niet worden aangemaakt, de bestaande stream is behouden: {error}",
+      "alert.replaced": "Stream vervangen!",
+      "alert.deleteFailed": "De nieuwe stream is aangemaakt, maar de oude stream {videoId} kon niet worden verwijderd. Verwijder deze in YouTube Studio: {error}",
+      "alert.thumbnailFailed": "De stream is aangemaakt, maar de thumbnail kon niet worden geüpload: {error}",
+      "alert.bindFailed": "De stream is aangemaakt, maar kon niet aan de standaard streamsleutel worden gekoppeld. Kies de streamsleutel in YouTube Studio: {error}",
+      "alert.playlistFailed": "De stream is aangemaakt, maar kon niet aan de afspeellijst worden toegevoegd: {error}",
+      "alert.linkFailed": "De stream is op YouTube opgeslagen, maar de link kon niet in het plan worden opgeslagen: {error}",
+      "alert.unlinkFailed": "De link van de oude stream kon niet uit het plan worden verwijderd: {error}",
+      "alert.streamNotFound": "De stream {videoId} bestaat niet meer op YouTube.",
+      "alert.planDataFailed": "De gegevens van het plan konden niet uit PlanningCenter worden geladen: {error}",
+      "alert.defaultStreamKeyMissing": "De standaard streamsleutel bestaat niet meer op YouTube. Kies een andere streamsleutel in de streaminstellingen.",
+      "alert.bulkLoadFailed": "De komende plannen en hun streams konden niet worden geladen: {error}",
+      "alert.noStreamsToSync": "Dit plan heeft geen streams om te synchroniseren.",
+      "alert.syncCancelled": "Het synchroniseren van de stream is geannuleerd.",
+      "alert.upToDate": "\"{title}\" is al up-to-date.",
+      "alert.synced": "\"{title}\" is gesynchroniseerd.",
+      "alert.syncFailed": "De stream {videoId} kon niet worden gesynchroniseerd: {error}",
+      "alert.noStreamsToFinalize": "Dit plan heeft geen streams om af te ronden.",
+      "alert.finalizeFailed": "De opname kon niet worden afgerond: {error}",
+      "alert.notStarted": "\"{title}\" is nog niet begonnen, rond de opname af na de stream.",
+      "alert.tooFewChapters": "Services Live heeft tijdens \"{title}\" te weinig onderdelen vastgelegd voor YouTube-hoofdstukken. Er zijn minstens {count} hoofdstukken nodig.",
+      "alert.chaptersUpToDate": "De hoofdstukken van \"{title}\" zijn al up-to-date.",
+      "alert.finalizeCancelled": "Het afronden van de opname is geannuleerd.",
+      "alert.finalized": "De hoofdstukken van \"{title}\" zijn bijgewerkt.",
+      "finalizeDialog.title": "\"{title}\" afronden",
+      "validation.required": "Dit veld is verplicht.",
+      "validation.clientId": "Een client-ID eindigt op \"{suffix}\".",
+      "validation.playlistId": "Dit is geen geldig ID van een YouTube-afspeellijst.",
+      "validation.channelId": "Dit is geen geldig ID van een YouTube-kanaal, het begint met UC en heeft 24 tekens.",
+      "validation.url": "Dit is geen geldige URL.",
+      "validation.seconds": "Vul een aantal seconden in, bijvoorbeeld 60.",
+      "validation.minutes": "Vul een aantal minuten in, bijvoorbeeld 5.",
+      "validation.locale": "\"{locale}\" is geen ondersteunde locale, bijvoorbeeld \"nl-NL\".",
+      "validation.option": "Kies een van: {options}.",
+      "validation.titleRequired": "De titel is verplicht.",
+      "validation.titleTooLong": "De titel mag maximaal {max} tekens lang zijn.",
+      "validation.titleInvalid": "De titel mag geen nieuwe regels, < of > bevatten.",
+      "validation.descriptionTooLong": "De beschrijving mag maximaal {max} bytes lang zijn.",
+      "validation.descriptionInvalid": "De beschrijving mag geen < of > bevatten.",
+      "validation.startTimeInvalid": "De starttijd is geen geldige datum.",
+      "validation.startTimeInPast": "De starttijd moet in de toekomst liggen.",
+      "validation.visibility": "De zichtbaarheid moet een van deze zijn: {options}.",
+      "validation.latency": "De latentie moet een van deze zijn: {options}.",
+      "validation.unclosedSection": "Elke optionele sectie die begint met [[ moet eindigen met ]].",
+      "validation.unknownPlaceholder": "Onbekende placeholder {placeholder}.",
+      "validation.sectionsInvalidJson": "De secties zijn geen geldige JSON: {error}",
+      "validation.sectionsNotList": "De secties moeten een lijst zijn.",
+      "validation.sectionName": "Elke sectie moet een naam hebben.",
+      "validation.sectionSelector": "De sectie \"{name}\" moet onderdelen selecteren met itemType, titlePattern of noteCategory.",
+      "validation.sectionTitlePattern": "Het titlePattern van de sectie \"{name}\" is geen geldige reguliere expressie: {error}",
+      "validation.sectionField": "Het field van de sectie \"{name}\" moet een van deze zijn: {options}.",
+      "validation.sectionNoteCategory": "De sectie \"{name}\" heeft een noteCategory nodig om de notitie te tonen.",
+      "validation.unknownSection": "Onbekende sectie \"{name}\", voeg deze toe aan de beschrijvingssecties in de instellingen.",
+      "validation.layoutInvalidJson": "De opmaak is geen geldige JSON: {error}",
+      "validation.layoutTexts": "De opmaak moet een lijst met teksten bevatten.",
+      "validation.layoutText": "Elke tekst in de opmaak moet een text, x, y en size hebben.",
+      "note.categoryMissing": "Het diensttype heeft geen notitiecategorie \"{category}\", voeg die toe in de instellingen van het diensttype in PlanningCenter.",
+      "setting.UI_LANGUAGE": "Taal van de knoppen en dialogen",
+      "setting.CLIENT_ID": "Google OAuth client-ID",
+      "setting.PLAYLIST_ID": "ID van de YouTube-afspeellijst",
+      "setting.EXPECTED_CHANNEL_ID": "ID van het YouTube-kanaal voor de streams (leeg laten om elk kanaal toe te staan)",
+      "setting.EXPECTED_CHANNEL_ID.help": "Streams worden alleen aangemaakt als je bent ingelogd met dit kanaal. Het ID begint met UC en staat op youtube.com/account_advanced.",
+      "setting.PREACHER_NOTE_CATEGORY": "Notitiecategorie van de spreker",
+      "setting.THEME_NOTE_CATEGORY": "Notitiecategorie van het thema",
+      "setting.PREACHER_FALLBACK": "Spreker als het plan geen sprekernotitie heeft (leeg laten om die weg te laten)",
+      "setting.THEME_FALLBACK": "Thema als het plan geen themanotitie heeft (leeg laten om het weg te laten)",
+      "setting.BLOCK_ON_MISSING_PLAN_DATA": "Maak geen stream aan als er notities of liederen in het plan ontbreken",
+      "setting.STREAM_NOTE_CATEGORY": "Notitiecategorie voor de streamlinks (leeg laten om geen links in het plan op te slaan)",
+      "setting.TITLE_TEMPLATE": "Sjabloon voor de titel",
+      "setting.DESCRIPTION_TEMPLATE": "Sjabloon voor de beschrijving",
+      "setting.SONG_LICENSE_LINE": "Licentieregel onder de liederen",
+      "setting.SONG_LICENSE_LINE.help": "Komt onder de liederen in {songs}, bijvoorbeeld \"Gestreamd onder CCLI Streaming-licentie 1234567\". Laat leeg om weg te laten.",
+      "setting.CHAPTER_MIN_ITEM_LENGTH": "Minimale lengte van een onderdeel voor hoofdstukken (seconden)",
+      "setting.CHAPTER_MIN_ITEM_LENGTH.help": "Kortere onderdelen van het plan worden geen hoofdstuk in {chapters}, bijvoorbeeld korte mededelingen. Onderdelen onder een kop horen altijd bij het hoofdstuk van die kop.",
+      "setting.DESCRIPTION_SECTIONS": "Secties in de beschrijving",
+      "setting.DESCRIPTION_SECTIONS.help": "Een JSON-lijst van secties waarvan {section:Naam} de onderdelen van het plan toont. Elke sectie heeft een name, en kiest onderdelen op itemType (bijvoorbeeld item of media), titlePattern (een reguliere expressie, hoofdletterongevoelig) en/of noteCategory (de categorie van een notitie bij het onderdeel). Van elk onderdeel wordt het field (title, description of note) getoond; onderdelen zonder dat veld worden overgeslagen.",
+      "setting.TEAM_POSITIONS": "Teamposities",
+      "setting.TEAM_POSITIONS.help": "De teamposities die {team} toont, één per regel en in de volgorde waarin ze getoond worden, bijvoorbeeld \"Worship Leader\" of \"Sound = Geluid\" om een positie onder een andere naam te tonen. Alleen mensen die bevestigd hebben worden getoond.",
+      "setting.DATE_LOCALE": "Locale van de datum in titels en beschrijvingen",
+      "setting.DATE_PATTERN": "Datumpatroon van {date} (leeg laten voor de numerieke datum)",
+      "setting.DATE_PATTERN.help": "Bijvoorbeeld \"EEEE d MMMM yyyy\" voor \"zondag 5 januari 2025\".",
+      "setting.PRE_ROLL_MINUTES": "Aantal minuten dat de stream voor de dienst begint",
+      "setting.PRE_ROLL_MINUTES.help": "De starttijd komt uit de diensttijden van het plan, in de tijdzone van de organisatie in PlanningCenter.",
+      "setting.DEFAULT_STREAM_ID": "Standaard streamsleutel",
+      "setting.DEFAULT_STREAM_ID.option.": "Geen streamsleutel koppelen",
+      "setting.DEFAULT_VISIBILITY": "Standaard zichtbaarheid",
+      "setting.DEFAULT_VISIBILITY.option.public": "Openbaar",
+      "setting.DEFAULT_VISIBILITY.option.unlisted": "Verborgen",
+      "setting.DEFAULT_VISIBILITY.option.private": "Privé",
+      "setting.ENABLE_AUTO_START": "De stream automatisch starten als de streamsleutel beeld ontvangt",
+      "setting.ENABLE_AUTO_STOP": "De stream automatisch stoppen als de streamsleutel geen beeld meer ontvangt",
+      "setting.ENABLE_DVR": "Kijkers laten terugspoelen (DVR)",
+      "setting.ENABLE_EMBED": "Insluiten van de stream op andere websites toestaan",
+      "setting.RECORD_FROM_START": "Een opname van de stream bewaren",
+      "setting.ENABLE_CLOSED_CAPTIONS": "Ondertiteling inschakelen",
+      "setting.LATENCY_PREFERENCE": "Latentie",
+      "setting.LATENCY_PREFERENCE.option.normal": "Normaal",
+      "setting.LATENCY_PREFERENCE.option.low": "Laag",
+      "setting.LATENCY_PREFERENCE.option.ultraLow": "Ultralaag",
+      "setting.MADE_FOR_KIDS": "Gemaakt voor kinderen",
+      "setting.THUMBNAIL_ENABLED": "Voor elke stream een thumbnail maken",
+      "setting.THUMBNAIL_BACKGROUND_URL": "URL van de achtergrondafbeelding van de thumbnail",
+      "setting.THUMBNAIL_BACKGROUND_URL.help": "De afbeelding moet 1280x720 pixels zijn, en de server moet cross-origin-verzoeken toestaan. Een data:-URL werkt ook. Laat leeg om de achtergrondkleur van de lay-out te gebruiken.",
+      "setting.THUMBNAIL_LAYOUT": "Lay-out van de thumbnail",
+      "setting.THUMBNAIL_LAYOUT.help": "Een JSON-object met de backgroundColor, font, color en shadowColor van de thumbnail, en de texts om te tekenen. Elke tekst heeft een sjabloon (text), een positie (x en y op een canvas van 1280x720), een size, en optioneel een weight, color en align (left, center of right).",
+    },
+  };
+
+  /**
+   * Changes the language of the user interface.
+   * @param {string} language - A supported language, or "auto" to use the language of the browser.
+   */
+  static setLanguage(language) {
+    if (language === Localization.AUTO) {
+      language = window.navigator.language.split("-")[0];
+    }
+
+    Localization.language = Object.hasOwn(Localization.MESSAGES, language) ? language : Localization.ENGLISH;
+    DebugLogging.debug(`User interface language: ${Localization.language}`);
+  }
+
+  /**
+   * Translates a text of the user interface.
+   * @param {string} key - e.g. "button.newStream"
+   * @param {Object<string, unknown>} values - The values of the placeholders in the text.
+   * @param {string} fallback - The text to use when there is no translation.
+   * @returns {string}
+   */
+  static translate(key, values = {}, fallback = undefined) {
+    const message = Localization.MESSAGES[Localization.language][key]
+      ?? Localization.MESSAGES[Localization.ENGLISH][key]
+      ?? fallback
+      ?? key;
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => Object.hasOwn(values, name) ? String(values[name]) : placeholder);
+  }
+
+  /**
+   * @param {object} field - A setting from {@link SettingsService.FIELDS}.
+   * @returns {string} the translated label of the setting.
+   */
+  static translateSettingLabel(field) {
+    return Localization.translate(`setting.${field.key}`, {}, field.label);
+  }
+
+  /**
+   * @param {object} field - A setting from {@link SettingsService.FIELDS}.
+   * @returns {string|undefined} the translated help text of the setting, or undefined if it has none.
+   */
+  static translateSettingHelp(field) {
+    return field.help === undefined ? undefined : Localization.translate(`setting.${field.key}.help`, {}, field.help);
+  }
+
+  /**
+   * @param {object} field - A setting from {@link SettingsService.FIELDS}.
+   * @param {{value: string, label: string}} option - One of the options of the setting.
+   * @returns {string} the translated label of the option.
+   */
+  static translateSettingOption(field, option) {
+    return Localization.translate(`setting.${field.key}.option.${option.value}`, {}, option.label);
+  }
+
+  /**
+   * Formats a date and time for the user interface, e.g. in a dialog.
+   * @param {Date} date
+   * @returns {string}
+   */
+  static formatDateTime(date) {
+    return date.toLocaleString(Localization.language);
+  }
+}
+
+/**
+ * Validates the values entered by the user in the settings panel.
+ */
+class SettingsValidator {
+  static PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{10,}$/;
+  static CHANNEL_ID_PATTERN = /^UC[A-Za-z0-9_-]{22}$/;
+  static CLIENT_ID_SUFFIX = ".apps.googleusercontent.com";
+
+  static validateRequired(value) {
+    if (!value || value.trim().length === 0) {
+      throw new Error(Localization.translate("validation.required"));
+    }
+  }
+
+  static validateClientId(clientId) {
+    if (clientId && !clientId.trim().endsWith(this.CLIENT_ID_SUFFIX)) {
+      throw new Error(Localization.translate("validation.clientId", { suffix: this.CLIENT_ID_SUFFIX }));
+    }
+  }
+
+  static validatePlaylistId(playlistId) {
+    this.validateRequired(playlistId);
+    if (!this.PLAYLIST_ID_PATTERN.test(playlistId.trim())) {
+      throw new Error(Localization.translate("validation.playlistId"));
+    }
+  }
+
+  static validateChannelId(channelId) {
+    if (channelId && !this.CHANNEL_ID_PATTERN.test(channelId.trim())) {
+      throw new Error(Localization.translate("validation.channelId"));
+    }
+  }
+
+  /**
+   * @param {string} template
+   * @param {string} sectionsJson - The configured description sections, which the {section:Name} placeholders should refer to.
+   */
+  static validateTemplate(template, sectionsJson) {
+    this.validateRequired(template);
+    TemplateRenderer.validate(template, sectionsJson);
+  }
+
+  static validateUrl(url) {
+    if (!url) {
+      return;
+    }
+
+    try {
+      new URL(url);
+    } catch {
+      throw new Error(Localization.translate("validation.url"));
+    }
+  }
+
+  static validateThumbnailLayout(json, sectionsJson) {
+    this.validateRequired(json);
+    const layout = ThumbnailRenderer.parseLayout(json);
+    for (const text of layout.texts) {
+      TemplateRenderer.validate(text.text, sectionsJson);
+    }
+  }
+
+  static validateDescriptionSections(json) {
+    this.validateRequired(json);
+    DescriptionSections.parse(json);
+  }
+
+  static validateOption(value, options) {
+    const values = options.map((option) => option.value);
+    if (!values.includes(value)) {
+      throw new Error(Localization.translate("validation.option", { options: values.join(", ") }));
+    }
+  }
+
+  static validateMinutes(value) {
+    if (!/^\d+$/.test(value)) {
+      throw new Error(Localization.translate("validation.minutes"));
+    }
+  }
+
+  static validateSeconds(value) {
+    if (!/^\d+$/.test(value)) {
+      throw new Error(Localization.translate("validation.seconds"));
+    }
+  }
+
+  static validateLocale(locale) {
+    this.validateRequired(locale);
+    try {
+      if (Intl.DateTimeFormat.supportedLocalesOf(locale).length === 0) {
+        throw new Error("Unsupported locale.");
+      }
+    } catch {
+      throw new Error(Localization.translate("validation.locale", { locale }));
+    }
+  }
+}
+
+/**
+ * Represents a service that manages the user configurable settings of the script.
+ */
+class SettingsService {
+  static UI_LANGUAGE_KEY = "UI_LANGUAGE";
+  static CLIENT_ID_KEY = "CLIENT_ID";
+  static PLAYLIST_ID_KEY = "PLAYLIST_ID";
+  static EXPECTED_CHANNEL_ID_KEY = "EXPECTED_CHANNEL_ID";
+  static PREACHER_NOTE_CATEGORY_KEY = "PREACHER_NOTE_CATEGORY";
+  static THEME_NOTE_CATEGORY_KEY = "THEME_NOTE_CATEGORY";
+  static PREACHER_FALLBACK_KEY = "PREACHER_FALLBACK";
+  static THEME_FALLBACK_KEY = "THEME_FALLBACK";
+  static BLOCK_ON_MISSING_PLAN_DATA_KEY = "BLOCK_ON_MISSING_PLAN_DATA";
+  static STREAM_NOTE_CATEGORY_KEY = "STREAM_NOTE_CATEGORY";
+  static TITLE_TEMPLATE_KEY = "TITLE_TEMPLATE";
+  static DESCRIPTION_TEMPLATE_KEY = "DESCRIPTION_TEMPLATE";
+  static SONG_LICENSE_LINE_KEY = "SONG_LICENSE_LINE";
+  static CHAPTER_MIN_ITEM_LENGTH_KEY = "CHAPTER_MIN_ITEM_LENGTH";
+  static DESCRIPTION_SECTIONS_KEY = "DESCRIPTION_SECTIONS";
+  static TEAM_POSITIONS_KEY = "TEAM_POSITIONS";
+  static DATE_LOCALE_KEY = "DATE_LOCALE";
+  static DATE_PATTERN_KEY = "DATE_PATTERN";
+  static PRE_ROLL_MINUTES_KEY = "PRE_ROLL_MINUTES";
+  static DEFAULT_STREAM_ID_KEY = "DEFAULT_STREAM_ID";
+  static DEFAULT_VISIBILITY_KEY = "DEFAULT_VISIBILITY";
+  static ENABLE_AUTO_START_KEY = "ENABLE_AUTO_START";
+  static ENABLE_AUTO_STOP_KEY = "ENABLE_AUTO_STOP";
+  static ENABLE_DVR_KEY = "ENABLE_DVR";
+  static ENABLE_EMBED_KEY = "ENABLE_EMBED";
+  static RECORD_FROM_START_KEY = "RECORD_FROM_START";
+  static ENABLE_CLOSED_CAPTIONS_KEY = "ENABLE_CLOSED_CAPTIONS";
+  static LATENCY_PREFERENCE_KEY = "LATENCY_PREFERENCE";
+  static MADE_FOR_KIDS_KEY = "MADE_FOR_KIDS";
+  static THUMBNAIL_ENABLED_KEY = "THUMBNAIL_ENABLED";
+  static THUMBNAIL_BACKGROUND_URL_KEY = "THUMBNAIL_BACKGROUND_URL";
+  static THUMBNAIL_LAYOUT_KEY = "THUMBNAIL_LAYOUT";
+
+  /**
+   * The settings that hold the defaults of the broadcast options of new streams, by broadcast option name.
+   */
+  static CONTENT_DETAIL_SETTING_KEYS = {
+    enableAutoStart: SettingsService.ENABLE_AUTO_START_KEY,
+    enableAutoStop: SettingsService.ENABLE_AUTO_STOP_KEY,
+    enableDvr: SettingsService.ENABLE_DVR_KEY,
+    enableEmbed: SettingsService.ENABLE_EMBED_KEY,
+    recordFromStart: SettingsService.RECORD_FROM_START_KEY,
+    enableClosedCaptions: SettingsService.ENABLE_CLOSED_CAPTIONS_KEY,
+    latencyPreference: SettingsService.LATENCY_PREFERENCE_KEY,
+    madeForKids: SettingsService.MADE_FOR_KIDS_KEY,
+  };
+
+  /**
+   * All settings that can be edited in the settings panel, in the order they are shown.
+   */
+  static FIELDS = [
+    {
+      key: SettingsService.UI_LANGUAGE_KEY,
+      label: "Language of the buttons and dialogs",
+      type: SettingType.SELECT,
+      defaultValue: "auto",
+      options: [
+        { value: "auto", label: "Language of the browser" },
+        { value: "en", label: "English" },
+        { value: "nl", label: "Nederlands" },
+      ],
+      validate: (value) => SettingsValidator.validateOption(value, SettingsService.findField(SettingsService.UI_LANGUAGE_KEY).options),
+    },
+    {
+      key: SettingsService.CLIENT_ID_KEY,
+      label: "Google OAuth client ID",
+      type: SettingType.TEXT,
+      defaultValue: "",
+      validate: (value) => SettingsValidator.validateClientId(value),
+    },
+    {
+      key: SettingsService.PLAYLIST_ID_KEY,
+      label: "YouTube playlist ID",
+      type: SettingType.TEXT,
+      defaultValue: "PL-sPk2tbAU2OVb91U_ij-3uHkSjJR2N--",
+      validate: (value) => SettingsValidator.validatePlaylistId(value),
+    },
+    {
+      key: SettingsService.EXPECTED_CHANNEL_ID_KEY,
+      label: "ID of the YouTube channel for the streams (leave empty to allow every channel)",
+      help: "Streams are only created when you are logged in with this channel. The ID starts with UC and is shown on youtube.com/account_advanced.",
+      type: SettingType.TEXT,
+      defaultValue: "",
+      validate: (value) => SettingsValidator.validateChannelId(value),
+    },
+    {
+      key: SettingsService.PREACHER_NOTE_CATEGORY_KEY,
+      label: "Preacher note category",
+      type: SettingType.TEXT,
+      defaultValue: "Spreker",
+      validate: (value) => SettingsValidator.validateRequired(value),
+    },
+    {
+      key: SettingsService.THEME_NOTE_CATEGORY_KEY,
+      label: "Theme note category",
+      type: SettingType.TEXT,
+      defaultValue: "Thema",
+      validate: (value) => SettingsValidator.validateRequired(value),
+    },
+    {
+      key: SettingsService.PREACHER_FALLBACK_KEY,
+      label: "Preacher when the plan has no preacher note (leave empty to leave it out)",
+      type: SettingType.TEXT,
+      defaultValue: "",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.THEME_FALLBACK_KEY,
+      label: "Theme when the plan has no theme note (leave empty to leave it out)",
+      type: SettingType.TEXT,
+      defaultValue: "",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.BLOCK_ON_MISSING_PLAN_DATA_KEY,
+      label: "Do not create the stream when notes or songs are missing from the plan",
+      type: SettingType.CHECKBOX,
+      defaultValue: "false",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.STREAM_NOTE_CATEGORY_KEY,
+      label: "Stream link note category (leave empty to not save links in the plan)",
+      type: SettingType.TEXT,
+      defaultValue: "Livestream",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.TITLE_TEMPLATE_KEY,
+      label: "Title template",
+      type: SettingType.TEXT,
+      defaultValue: "{theme} | {preacher} | {date}",
+      isTemplate: true,
+      validate: (value, values) => SettingsValidator.validateTemplate(value, values[SettingsService.DESCRIPTION_SECTIONS_KEY]),
+    },
+    {
+      key: SettingsService.DESCRIPTION_TEMPLATE_KEY,
+      label: "Description template",
+      type: SettingType.TEXTAREA,
+      defaultValue: [
+        "De diensten beginnen elke zondag om 10:00 uur.",
+        "",
+        "Liederen",
+        "{songs}",
+        "",
+        "Informatie",
+        "Wil je meer weten over kerk De Fontein of in contact komen met ons? Bezoek dan onze website https://www.kerkdefontein.nl/",
+        "Liever mailen? Dat kan via info@kerkdefontein.nl",
+      ].join("\n"),
+      isTemplate: true,
+      validate: (value, values) => SettingsValidator.validateTemplate(value, values[SettingsService.DESCRIPTION_SECTIONS_KEY]),
+    },
+    {
+      key: SettingsService.SONG_LICENSE_LINE_KEY,
+      label: "Song license line",
+      type: SettingType.TEXT,
+      defaultValue: "",
+      help: "Added below the songs in {songs}, e.g. \"Streamed under CCLI Streaming License 1234567\". Leave empty to leave it out.",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.CHAPTER_MIN_ITEM_LENGTH_KEY,
+      label: "Minimum item length for chapters (seconds)",
+      type: SettingType.TEXT,
+      defaultValue: "60",
+      help: "Plan items that are shorter are not listed as a chapter in {chapters}, e.g. short announcements. Items below a header are always part of the chapter of that header.",
+      validate: (value) => SettingsValidator.validateSeconds(value),
+    },
+    {
+      key: SettingsService.DESCRIPTION_SECTIONS_KEY,
+      label: "Description sections",
+      type: SettingType.TEXTAREA,
+      defaultValue: JSON.stringify([
+        { name: "Schriftlezing", titlePattern: "schriftlezing", field: "description" },
+      ], null, 2),
+      help: "A JSON list of sections that {section:Name} lists the plan items of. Every section has a name, and selects items by itemType (e.g. item or media), titlePattern (a case-insensitive regular expression) and/or noteCategory (the category of an item note). The field (title, description or note) is shown for every item; items without it are skipped.",
+      validate: (value) => SettingsValidator.validateDescriptionSections(value),
+    },
+    {
+      key: SettingsService.TEAM_POSITIONS_KEY,
+      label: "Team positions",
+      type: SettingType.TEXTAREA,
+      defaultValue: "",
+      help: "The team positions that {team} lists, one per line and in display order, e.g. \"Worship Leader\" or \"Sound = Geluid\" to show a position under another name. Only confirmed people are listed.",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.DATE_LOCALE_KEY,
+      label: "Date locale for titles and descriptions",
+      type: SettingType.TEXT,
+      defaultValue: "nl-NL",
+      validate: (value) => SettingsValidator.validateLocale(value),
+    },
+    {
+      key: SettingsService.DATE_PATTERN_KEY,
+      label: "Date pattern for {date} (leave empty for the numeric date)",
+      type: SettingType.TEXT,
+      defaultValue: "",
+      help: "E.g. \"EEEE d MMMM yyyy\" for \"Sunday 5 January 2025\".",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.PRE_ROLL_MINUTES_KEY,
+      label: "Minutes the stream starts before the service",
+      type: SettingType.TEXT,
+      defaultValue: "0",
+      help: "The start time comes from the service times of the plan, in the time zone of the organization in PlanningCenter.",
+      validate: (value) => SettingsValidator.validateMinutes(value),
+    },
+    {
+      key: SettingsService.DEFAULT_STREAM_ID_KEY,
+      label: "Default stream key",
+      type: SettingType.SELECT,
+      defaultValue: "",
+      options: [
+        { value: "", label: "Do not bind a stream key" },
+      ],
+      loadOptions: async (youtubeApiService) => {
+        const liveStreams = await youtubeApiService.fetchLiveStreams();
+        return liveStreams.map((liveStream) => ({
+          value: liveStream.id,
+          label: `${liveStream.snippet.title} (${liveStream.cdn?.resolution ?? "variable"})`,
+        }));
+      },
+      validate: () => { },
+    },
+    {
+      key: SettingsService.DEFAULT_VISIBILITY_KEY,
+      label: "Default visibility",
+      type: SettingType.SELECT,
+      defaultValue: "public",
+      options: [
+        { value: "public", label: "Public" },
+        { value: "unlisted", label: "Unlisted" },
+        { value: "private", label: "Private" },
+      ],
+      validate: (value) => YouTubeStreamValidator.validateVisibility(value),
+    },
+    {
+      key: SettingsService.ENABLE_AUTO_START_KEY,
+      label: "Start the stream automatically when the stream key receives video",
+      type: SettingType.CHECKBOX,
+      defaultValue: "true",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.ENABLE_AUTO_STOP_KEY,
+      label: "Stop the stream automatically when the stream key stops receiving video",
+      type: SettingType.CHECKBOX,
+      defaultValue: "true",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.ENABLE_DVR_KEY,
+      label: "Allow viewers to rewind (DVR)",
+      type: SettingType.CHECKBOX,
+      defaultValue: "true",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.ENABLE_EMBED_KEY,
+      label: "Allow embedding the stream on other websites",
+      type: SettingType.CHECKBOX,
+      defaultValue: "true",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.RECORD_FROM_START_KEY,
+      label: "Save a recording of the stream",
+      type: SettingType.CHECKBOX,
+      defaultValue: "true",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.ENABLE_CLOSED_CAPTIONS_KEY,
+      label: "Enable closed captions",
+      type: SettingType.CHECKBOX,
+      defaultValue: "false",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.LATENCY_PREFERENCE_KEY,
+      label: "Latency",
+      type: SettingType.SELECT,
+      defaultValue: "normal",
+      options: [
+        { value: "normal", label: "Normal" },
+        { value: "low", label: "Low" },
+        { value: "ultraLow", label: "Ultra low" },
+      ],
+      validate: (value) => YouTubeStreamValidator.validateLatencyPreference(value),
+    },
+    {
+      key: SettingsService.MADE_FOR_KIDS_KEY,
+      label: "Made for kids",
+      type: SettingType.CHECKBOX,
+      defaultValue: "false",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.THUMBNAIL_ENABLED_KEY,
+      label: "Generate a thumbnail for every stream",
+      type: SettingType.CHECKBOX,
+      defaultValue: "false",
+      validate: () => { },
+    },
+    {
+      key: SettingsService.THUMBNAIL_BACKGROUND_URL_KEY,
+      label: "Thumbnail background image URL",
+      type: SettingType.TEXT,
+      defaultValue: "",
+      help: "The image should be 1280x720 pixels, and its server should allow cross-origin requests. A data: URL also works. Leave empty to use the background color of the layout.",
+      validate: (value) => SettingsValidator.validateUrl(value),
+    },
+    {
+      key: SettingsService.THUMBNAIL_LAYOUT_KEY,
+      label: "Thumbnail layout",
+      type: SettingType.TEXTAREA,
+      defaultValue: JSON.stringify({
+        backgroundColor: "#1f2a44",
+        font: "Arial, sans-serif",
+        color: "#ffffff",
+        shadowColor: "rgba(0, 0, 0, 0.6)",
+        texts: [
+          { text: "{theme}", x: 640, y: 300, size: 96, weight: "bold", align: "center" },
+          { text: "{preacher}", x: 640, y: 420, size: 56, align: "center" },
+          { text: "{date:d MMMM yyyy}", x: 640, y: 520, size: 44, align: "center" },
+        ],
+      }, null, 2),
+      help: "A JSON object with the backgroundColor, font, color and shadowColor of the thumbnail, and the texts to draw. Every text has a template, a position (x and y on a 1280x720 canvas), a size, and optionally a weight, color and align (left, center or right).",
+      validate: (value, values) => SettingsValidator.validateThumbnailLayout(value, values[SettingsService.DESCRIPTION_SECTIONS_KEY]),
+    },
+  ];
+
+  constructor() { }
+
+  /**
+   * Gets the value of a setting, or its default value when it has not been configured.
+   * @param {string} key
+   * @returns {string}
+   */
+  get(key) {
+    const value = SettingsStorage.load(key);
+    if (value === undefined || value === null) {
+      return this.getField(key).defaultValue;
+    }
+
+    return value;
+  }
+
+  /**
+   * Gets the value of a checkbox setting.
+   * @param {string} key
+   * @returns {boolean}
+   */
+  getBoolean(key) {
+    return this.get(key) === "true";
+  }
+
+  /**
+   * Gets the values of all settings.
+   * @returns {Object<string, string>}
+   */
+  getAll() {
+    const values = {};
+    for (const field of SettingsService.FIELDS) {
+      values[field.key] = this.get(field.key);
+    }
+
+    return values;
+  }
+
+  /**
+   * Validates the given values, a setting can be checked against the other values.
+   * @param {Object<string, string>} values
+   * @returns {Object<string, string>} the error messages of the invalid values, by setting key.
+   */
+  validate(values) {
+    const errors = {};
+    for (const field of SettingsService.FIELDS) {
+      try {
+        field.validate(values[field.key], values);
+      } catch (e) {
+        errors[field.key] = e.message;
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Saves the given values, values equal to the default value are removed from storage.
+   * @param {Object<string, string>} values
+   */
+  saveAll(values) {
+    DebugLogging.debug("Saving settings.");
+    for (const field of SettingsService.FIELDS) {
+      const value = values[field.key]?.trim() ?? "";
+      if (value === field.defaultValue) {
+        SettingsStorage.delete(field.key);
+      } else {
+        SettingsStorage.save(field.key, value);
+      }
+    }
+  }
+
+  /**
+   * Resets all settings to their default values.
+   */
+  reset() {
+    DebugLogging.debug("Resetting settings.");
+    for (const field of SettingsService.FIELDS) {
+      SettingsStorage.delete(field.key);
+    }
+  }
+
+  getField(key) {
+    return SettingsService.findField(key);
+  }
+
+  /**
+   * Gets the definition of a setting.
+   * @param {string} key
+   * @returns {object}
+   */
+  static findField(key) {
+    const field = SettingsService.FIELDS.find((field) => field.key === key);
+    if (!field) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    return field;
+  }
+}
+
 /**
  * Represents the response received from the Google OAuth API.
  */
@@ -100,7 +1216,7 @@ class AuthToken {
    * @returns {AuthToken} The deserialized auth token.
    */
   static deserialize(data) {
-    console.debug("Deserializing auth token data.");
+    DebugLogging.debug("Deserializing auth token data.");
     try {
       AuthTokenValidator.validate(data);
     } catch (e) {
@@ -119,7 +1235,7 @@ class AuthToken {
    * @returns {number} The expiration timestamp of the access token.
    */
   calculateExpirationTimestamp() {
-    console.debug("Calculating expiration timestamp.");
+    DebugLogging.debug("Calculating expiration timestamp.");
     const now = new Date();
     const newSeconds = now.getSeconds() + this.expiresIn;
     now.setSeconds(newSeconds);
@@ -131,7 +1247,7 @@ class AuthToken {
    * @returns {string} The access token.
    */
   getAccessToken() {
-    console.debug(`Getting access token: ${this.accessToken}`);
+    DebugLogging.debug(`Getting access token: ${this.accessToken}`);
     return this.accessToken;
   }
 }
@@ -145,7 +1261,7 @@ class AuthTokenValidator {
    * @param {object} data The data to validate.
    */
   static validate(data) {
-    console.debug("Validating auth token data.");
+    DebugLogging.debug("Validating auth token data.");
     if (!data) {
       throw new Error("No data provided.");
     }
@@ -217,13 +1333,14 @@ class AuthClient {
 
   /**
    * Fetches an authentication token from the Google OAuth API.
+   * @param {{prompt?: string}} overrides - Options of the token request, e.g. `{ prompt: "select_account" }`.
    * @returns {Promise<AuthToken>}
    */
-  fetchAuthToken() {
-    console.debug("Fetching auth token.");
+  fetchAuthToken(overrides = {}) {
+    DebugLogging.debug("Fetching auth token.");
     return new Promise((resolve, reject) => {
       const googleClient = this.getGoogleClient(resolve, reject);
-      googleClient.requestAccessToken();
+      googleClient.requestAccessToken(overrides);
     });
   }
 
@@ -233,13 +1350,15 @@ class AuthClient {
       client_id: this.clientId,
       scope: this.scope,
       callback: (data) => this.processTokenResponse(data, resolve, reject),
+      // Called when the popup could not be opened, e.g. because the browser blocked it, or when the user closed it.
+      error_callback: (error) => reject(error.message ?? error.type),
     });
   }
 
   processTokenResponse(data, resolve, reject) {
     try {
       const loginResponse = AuthToken.deserialize(data);
-      console.debug("Login response:", loginResponse);
+      DebugLogging.debug("Login response:", loginResponse);
       resolve(loginResponse);
     } catch (e) {
       reject(`Could not deserialize response: ${e}`);
@@ -272,12 +1391,12 @@ class TokenService {
   }
 
   isUserAuthenticated() {
-    console.debug("Checking if user is authenticated.");
+    DebugLogging.debug("Checking if user is authenticated.");
     return this.getAccessToken() && !this.hasTokenExpired();
   }
 
   reset() {
-    console.debug("Resetting token service.");
+    DebugLogging.debug("Resetting token service.");
     SettingsStorage.delete(this.ACCESS_TOKEN_KEY);
     SettingsStorage.delete(this.EXPIRATION_TIMESTAMP_KEY);
   }
@@ -287,16 +1406,23 @@ class TokenService {
   }
 
   hasTokenExpired() {
-    const expiryTime = SettingsStorage.load(this.EXPIRATION_TIMESTAMP_KEY);
+    const expiryTime = this.getExpirationTimestamp();
     return !expiryTime || Date.now() > expiryTime;
   }
+
+  /**
+   * @returns {number|undefined} the time at which the access token expires, in milliseconds since the epoch.
+   */
+  getExpirationTimestamp() {
+    return SettingsStorage.load(this.EXPIRATION_TIMESTAMP_KEY);
+  }
 }
 
 /**
  * Represents a service that manages OAuth client IDs for the user.
  */
 class ClientIdService {
-  CLIENT_ID_KEY = "CLIENT_ID";
+  CLIENT_ID_KEY = SettingsService.CLIENT_ID_KEY;
 
   constructor() { }
 
@@ -305,7 +1431,7 @@ class ClientIdService {
    * @returns {string} The OAuth client ID.
    */
   fetchClientId() {
-    console.debug("Fetching OAuth client ID.");
+    DebugLogging.debug("Fetching OAuth client ID.");
     const clientId = SettingsStorage.load(this.CLIENT_ID_KEY);
     if (!clientId) {
       return this.showClientIdPrompt();
@@ -315,7 +1441,7 @@ class ClientIdService {
   }
 
   showClientIdPrompt() {
-    const clientId = prompt("Please enter your Google OAuth client ID.");
+    const clientId = prompt(Localization.translate("auth.clientIdPrompt"));
     if (!clientId) {
       throw new Error("No client ID provided.");
     }
@@ -360,6 +1486,18 @@ class AuthService {
 
   SCOPE_SEPARATOR = " ";
 
+  /**
+   * How long before the access token expires a new one is requested.
+   */
+  REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+  /**
+   * The prompt that only shows a popup when the user has to give consent again.
+   */
+  SILENT_PROMPT = "";
+
+  SELECT_ACCOUNT_PROMPT = "select_account";
+
   /**
    * @param {TokenService} tokenService
    * @param {ClientIdService} clientIdService
@@ -374,7 +1512,7 @@ class AuthService {
    * @returns {Promise<void>}
    */
   async init() {
-    console.debug("Initializing authentication service.");
+    DebugLogging.debug("Initializing authentication service.");
     if (this.initialized) {
       return;
     }
@@ -397,11 +1535,82 @@ class AuthService {
     await this.authenticate();
   }
 
-  logout() {
+  /**
+   * Logs the user out, and revokes the access the user gave to the script.
+   * @returns {Promise<void>}
+   */
+  async logout() {
     console.info("Logging user out.");
+
+    const accessToken = this.tokenService.getAccessToken();
+    this.forgetToken();
+    if (accessToken) {
+      await this.revokeToken(accessToken);
+    }
+  }
+
+  /**
+   * Lets the user log in with another Google account, e.g. when the user logged in with a personal channel by mistake.
+   * @returns {Promise<void>}
+   */
+  async switchAccount() {
+    console.info("Switching Google account.");
+
+    await this.logout();
+    await this.authenticate({ prompt: this.SELECT_ACCOUNT_PROMPT });
+  }
+
+  /**
+   * Removes the access token without revoking it, so the user is asked to log in again the next time.
+   */
+  forgetToken() {
     this.tokenService.reset();
   }
 
+  revokeToken(accessToken) {
+    return new Promise((resolve) => {
+      // eslint-disable-next-line no-undef
+      google.accounts.oauth2.revoke(accessToken, (response) => {
+        if (response?.error) {
+          console.warn(`Could not revoke the access token: ${response.error_description ?? response.error}`);
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Refreshes the access token when it expires soon, so the user is not asked to log in while creating a stream.
+   * Must be called from a click handler before anything is awaited, because the browser only allows the popup after a click.
+   * @returns {Promise<void>}
+   */
+  async refreshIfExpiring() {
+    if (!this.tokenService.isUserAuthenticated()) {
+      return;
+    }
+
+    if (this.tokenService.getExpirationTimestamp() - Date.now() > this.REFRESH_MARGIN_MS) {
+      return;
+    }
+
+    await this.refresh();
+  }
+
+  /**
+   * Requests a new access token without asking the user anything.
+   * When the browser does not allow this, the user is asked to log in the next time YouTube is used.
+   */
+  async refresh() {
+    console.info("Refreshing access token.");
+
+    try {
+      await this.authenticate({ prompt: this.SILENT_PROMPT });
+    } catch (e) {
+      console.warn("Could not refresh the access token.", e);
+    }
+  }
+
   async injectGSIScript() {
     const script = document.createElement("script");
     script.src = this.GSI_SCRIPT_URL;
@@ -412,12 +1621,15 @@ class AuthService {
     });
   }
 
-  async authenticate() {
+  /**
+   * @param {{prompt?: string}} overrides - Options of the token request.
+   */
+  async authenticate(overrides = {}) {
     console.info("Authenticating user.");
 
     const client = this.createTokenClient();
     try {
-      const loginResponse = await client.fetchAuthToken();
+      const loginResponse = await client.fetchAuthToken(overrides);
       this.tokenService.saveAuthToken(loginResponse);
     } catch (e) {
       throw new Error(`Failed to fetch access token: ${e}`);
@@ -437,29 +1649,170 @@ class AuthService {
     return this.tokenService.getAccessToken();
   }
 
+  isAuthenticated() {
+    return Boolean(this.tokenService.isUserAuthenticated());
+  }
+
+  /**
+   * @returns {number|undefined} the time at which the access token expires, in milliseconds since the epoch.
+   */
+  getExpirationTimestamp() {
+    return this.tokenService.getExpirationTimestamp();
+  }
+
   reset() {
-    this.tokenService.reset();
+    this.forgetToken();
     this.clientIdService.reset();
     this.initialized = false;
   }
 }
 
 /**
- * A service that interacts with the YouTube API to create and manage streams.
+ * Represents the kinds of errors the YouTube API returns, which are handled differently.
  */
-class YouTubeApiService {
+class YouTubeErrorType {
+  /** The access token is missing, expired or revoked, logging in again solves it. */
+  static AUTH = "auth";
+  /** The daily quota of the Google Cloud project is used up. */
+  static QUOTA = "quota";
+  /** The account is not allowed to do this on the channel. */
+  static PERMISSION = "permission";
+  /** The request contains invalid data. */
+  static VALIDATION = "validation";
+  /** A temporary problem, e.g. a network error or an overloaded server, retrying may solve it. */
+  static TRANSIENT = "transient";
+}
+
+/**
+ * An error returned by the YouTube API, with a message that tells the user what to do about it.
+ */
+class YouTubeApiError extends Error {
+  static QUOTA_REASONS = ["quotaExceeded", "dailyLimitExceeded"];
+  static RATE_LIMIT_REASONS = ["rateLimitExceeded", "userRateLimitExceeded"];
+  static AUTH_REASONS = ["authError", "insufficientPermissions"];
+  static LIVE_STREAMING_NOT_ENABLED_REASON = "liveStreamingNotEnabled";
+
   /**
-   * The authentication service used to authenticate the user.
-   * @type {AuthService}
+   * The reasons that have their own message, instead of the message of their type.
    */
-  authenticationService;
+  static REASON_MESSAGE_KEYS = {
+    [this.LIVE_STREAMING_NOT_ENABLED_REASON]: "youtubeError.liveStreamingNotEnabled",
+  };
 
-  HTTP_UNAUTHORIZED_CODE = 401;
-  HTTP_FORBIDDEN_CODE = 403;
+  /**
+   * The kind of error, one of YouTubeErrorType.
+   * @type {string}
+   */
+  type;
 
-  RETRY_DELAY_MS = 1000;
+  /**
+   * The HTTP status code of the response, or 0 if no response was received.
+   * @type {number}
+   */
+  status;
 
-  YOUTUBE_API_BASE_URL = "https://www.googleapis.com/youtube/v3";
+  /**
+   * The reason Google gives for the error, e.g. "quotaExceeded".
+   * @type {string|undefined}
+   */
+  reason;
+
+  /**
+   * @param {string} type - One of YouTubeErrorType.
+   * @param {number} status
+   * @param {string|undefined} reason
+   * @param {string|undefined} detail - The message Google gives for the error.
+   */
+  constructor(type, status, reason, detail) {
+    const message = Localization.translate(YouTubeApiError.REASON_MESSAGE_KEYS[reason] ?? `youtubeError.${type}`);
+    super(detail ? Localization.translate("youtubeError.detail", { message, detail }) : message);
+    this.name = "YouTubeApiError";
+    this.type = type;
+    this.status = status;
+    this.reason = reason;
+  }
+
+  /**
+   * Creates an error from a failed response of the YouTube API.
+   * @param {number} status - The HTTP status code of the response.
+   * @param {object|null} body - The parsed body of the response, e.g. `{ error: { message, errors: [{ reason }] } }`.
+   * @returns {YouTubeApiError}
+   */
+  static fromResponse(status, body) {
+    const reason = body?.error?.errors?.[0]?.reason;
+    const detail = body?.error?.message;
+
+    return new YouTubeApiError(this.getType(status, reason), status, reason, detail);
+  }
+
+  /**
+   * Creates an error for a request that did not receive a response, e.g. because the network is down.
+   * @param {Error} error
+   * @returns {YouTubeApiError}
+   */
+  static fromNetworkError(error) {
+    return new YouTubeApiError(YouTubeErrorType.TRANSIENT, 0, undefined, error.message);
+  }
+
+  /**
+   * @param {number} status
+   * @param {string|undefined} reason
+   * @returns {string} one of YouTubeErrorType.
+   */
+  static getType(status, reason) {
+    if (status === 401 || (status === 403 && this.AUTH_REASONS.includes(reason))) {
+      return YouTubeErrorType.AUTH;
+    } else if (this.QUOTA_REASONS.includes(reason)) {
+      return YouTubeErrorType.QUOTA;
+    } else if (status === 408 || status === 429 || status >= 500 || this.RATE_LIMIT_REASONS.includes(reason)) {
+      return YouTubeErrorType.TRANSIENT;
+    } else if (status === 403) {
+      return YouTubeErrorType.PERMISSION;
+    }
+
+    return YouTubeErrorType.VALIDATION;
+  }
+
+  /**
+   * @returns {boolean} whether retrying the request may solve the error.
+   */
+  isTransient() {
+    return this.type === YouTubeErrorType.TRANSIENT;
+  }
+}
+
+/**
+ * A service that interacts with the YouTube API to create and manage streams.
+ */
+class YouTubeApiService {
+  /**
+   * The authentication service used to authenticate the user.
+   * @type {AuthService}
+   */
+  authenticationService;
+
+  HTTP_NO_CONTENT_CODE = 204;
+
+  /**
+   * The delay before the first retry of a request that failed with a transient error, doubled for every next retry.
+   */
+  RETRY_DELAY_MS = 1000;
+
+  MAX_RETRIES = 3;
+
+  /**
+   * The methods of requests that have the same result when they are sent twice.
+   */
+  IDEMPOTENT_METHODS = ["GET", "PUT", "DELETE"];
+
+  /**
+   * The status codes with which YouTube rejects a request before processing it, so a POST can be sent again.
+   */
+  UNPROCESSED_STATUS_CODES = [429, 503];
+
+  YOUTUBE_API_BASE_URL = "https://www.googleapis.com/youtube/v3";
+
+  YOUTUBE_UPLOAD_API_BASE_URL = "https://www.googleapis.com/upload/youtube/v3";
 
   AUTHORIZATION_HEADER_KEY = "Authorization";
 
@@ -474,52 +1827,107 @@ class YouTubeApiService {
 
   /**
    * Executes an API request to the YouTube API.
-   * @param {string} endpoint - The API endpoint to call.
+   *
+   * The request is retried once after logging in again when the login is not accepted,
+   * and a few times with an increasing delay when it fails with a transient error and can safely be sent again.
+   * @param {string} endpoint - The API endpoint to call, or the full URL of an upload endpoint.
    * @param {unknown} options - The options to pass to the fetch request.
    * @returns {Promise<unknown>} The response data from the API.
+   * @throws {YouTubeApiError} if the request failed.
    */
   async executeRequest(endpoint, options = {}) {
+    let hasLoggedIn = false;
+    let retries = 0;
+
+    while (true) {
+      try {
+        return await this.sendRequest(endpoint, options);
+      } catch (e) {
+        if (e instanceof YouTubeApiError && e.type === YouTubeErrorType.AUTH && !hasLoggedIn) {
+          console.info("The access token was not accepted, logging in again.");
+          this.authenticationService.forgetToken();
+          await this.authenticationService.login();
+          hasLoggedIn = true;
+        } else if (this.isRetryable(e, options) && retries < this.MAX_RETRIES) {
+          const delay = this.RETRY_DELAY_MS * 2 ** retries;
+          console.warn(`Request to ${endpoint} failed, retrying in ${delay} ms.`, e);
+          await this.delay(delay);
+          retries++;
+        } else {
+          throw e;
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks whether a failed request can be sent again.
+   * A POST creates something on YouTube, so it is only sent again when YouTube did not process it,
+   * otherwise a broadcast or playlist item could be created twice.
+   * @param {Error} error
+   * @param {unknown} options - The options of the fetch request.
+   * @returns {boolean}
+   */
+  isRetryable(error, options) {
+    if (!(error instanceof YouTubeApiError) || !error.isTransient()) {
+      return false;
+    }
+
+    const method = (options.method ?? "GET").toUpperCase();
+    return this.IDEMPOTENT_METHODS.includes(method) || this.UNPROCESSED_STATUS_CODES.includes(error.status);
+  }
+
+  /**
+   * Sends a single request to the YouTube API.
+   * @param {string} endpoint
+   * @param {unknown} options
+   * @returns {Promise<unknown>} The response data from the API.
+   * @throws {YouTubeApiError} if the request failed.
+   */
+  async sendRequest(endpoint, options) {
     const url = this.buildUrl(endpoint);
     options.headers = options.headers || new Headers();
     options.headers.set(this.AUTHORIZATION_HEADER_KEY, this.getBearerToken());
-    console.debug(`Executing request to ${url}`);
+    DebugLogging.debug(`Executing request to ${url}`);
 
+    let res;
     try {
-      const res = await fetch(url, options);
-      return await this.handleResponse(res, endpoint, options);
-    } catch (err) {
-      console.error(err);
+      res = await fetch(url, options);
+    } catch (e) {
+      throw YouTubeApiError.fromNetworkError(e);
     }
+
+    return await this.handleResponse(res);
   }
 
-  async handleResponse(res, endpoint, options) {
-    console.debug(res);
-    if (res.ok) {
+  async handleResponse(res) {
+    DebugLogging.debug(res);
+    if (res.status === this.HTTP_NO_CONTENT_CODE) {
+      return null;
+    } else if (res.ok) {
       return await res.json();
-    } else if (this.isUnauthorized(res.status)) {
-      await this.authenticationService.login();
-      // This delay is here to prevent the API from being spammed with requests if the user is not authenticated.
-      await this.delay(this.RETRY_DELAY_MS);
-      // Retry the request after re-authentication
-      return await this.executeRequest(endpoint, options);
     }
 
-    throw new Error("Failed to fetch YouTube data.");
+    const body = await res.json().catch(() => null);
+    const error = YouTubeApiError.fromResponse(res.status, body);
+    console.error(`YouTube API request failed with status ${res.status}:`, body);
+    throw error;
   }
 
   buildUrl(endpoint) {
+    if (endpoint.startsWith(this.YOUTUBE_UPLOAD_API_BASE_URL)) {
+      return endpoint;
+    }
+
     return `${this.YOUTUBE_API_BASE_URL}${endpoint}`;
   }
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  buildUploadUrl(endpoint) {
+    return `${this.YOUTUBE_UPLOAD_API_BASE_URL}${endpoint}`;
   }
 
-  isUnauthorized(status) {
-    return (
-      status === this.HTTP_UNAUTHORIZED_CODE ||
-      status === this.HTTP_FORBIDDEN_CODE
-    );
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   getRequestOptions() {
@@ -549,6 +1957,19 @@ class StreamVisibility {
   static PUBLIC = "public";
   static UNLISTED = "unlisted";
   static PRIVATE = "private";
+
+  static ALL = [StreamVisibility.PUBLIC, StreamVisibility.UNLISTED, StreamVisibility.PRIVATE];
+}
+
+/**
+ * Represents the latency preference of a YouTube stream.
+ */
+class StreamLatency {
+  static NORMAL = "normal";
+  static LOW = "low";
+  static ULTRA_LOW = "ultraLow";
+
+  static ALL = [StreamLatency.NORMAL, StreamLatency.LOW, StreamLatency.ULTRA_LOW];
 }
 
 /**
@@ -579,10 +2000,58 @@ class YouTubeStream {
    */
   visibility;
 
+  /**
+   * The id of the playlist the stream is added to, or an empty string to skip adding it to a playlist.
+   * @type {string}
+   */
+  playlistId;
+
+  /**
+   * The generated thumbnail of the stream, or undefined to keep the default thumbnail.
+   * @type {HTMLCanvasElement|undefined}
+   */
+  thumbnail;
+
+  /**
+   * The broadcast options of the stream, e.g. enableAutoStart and latencyPreference.
+   * The monitor stream options are only set for existing streams, YouTube requires them when the broadcast options are updated.
+   * @type {{enableAutoStart: boolean, enableAutoStop: boolean, enableDvr: boolean, enableEmbed: boolean, recordFromStart: boolean, enableClosedCaptions: boolean, latencyPreference: string, monitorStream?: object}}
+   */
+  contentDetails;
+
+  /**
+   * Whether the stream is made for kids.
+   * @type {boolean}
+   */
+  madeForKids;
+
+  /**
+   * The names of the broadcast options that can be turned on or off.
+   */
+  static CONTENT_DETAIL_FLAGS = [
+    "enableAutoStart",
+    "enableAutoStop",
+    "enableDvr",
+    "enableEmbed",
+    "recordFromStart",
+    "enableClosedCaptions",
+  ];
+
   constructor() {
     this.title = "";
     this.startTime = new Date();
     this.visibility = StreamVisibility.PUBLIC;
+    this.playlistId = "";
+    this.contentDetails = {
+      enableAutoStart: false,
+      enableAutoStop: false,
+      enableDvr: true,
+      enableEmbed: true,
+      recordFromStart: true,
+      enableClosedCaptions: false,
+      latencyPreference: StreamLatency.NORMAL,
+    };
+    this.madeForKids = false;
   }
 
   /**
@@ -597,7 +2066,9 @@ class YouTubeStream {
       },
       status: {
         privacyStatus: this.getVisibility(),
+        selfDeclaredMadeForKids: this.isMadeForKids(),
       },
+      contentDetails: this.getContentDetails(),
     }
   }
 
@@ -636,6 +2107,287 @@ class YouTubeStream {
     this.visibility = visibility;
     return this;
   }
+
+  getPlaylistId() {
+    return this.playlistId;
+  }
+
+  setPlaylistId(playlistId) {
+    this.playlistId = playlistId;
+    return this;
+  }
+
+  getContentDetails() {
+    return this.contentDetails;
+  }
+
+  setContentDetails(contentDetails) {
+    this.contentDetails = {
+      ...this.contentDetails,
+      ...contentDetails,
+    };
+    return this;
+  }
+
+  isMadeForKids() {
+    return this.madeForKids;
+  }
+
+  setMadeForKids(madeForKids) {
+    this.madeForKids = madeForKids;
+    return this;
+  }
+
+  getThumbnail() {
+    return this.thumbnail;
+  }
+
+  setThumbnail(thumbnail) {
+    this.thumbnail = thumbnail;
+    return this;
+  }
+}
+
+/**
+ * Removes the characters that YouTube does not allow in the title and description of a stream.
+ */
+class YouTubeStreamFilter {
+  static INVALID_CHARACTERS_REGEX = /[<>]/g;
+  static WHITESPACE_REGEX = /\s+/g;
+
+  /**
+   * Filters the title and description of a stream.
+   * @param {YouTubeStream} stream
+   * @returns {YouTubeStream}
+   */
+  static filter(stream) {
+    return stream
+      .setTitle(this.filterTitle(stream.getTitle()))
+      .setDescription(this.filterDescription(stream.getDescription()))
+      .setPlaylistId(stream.getPlaylistId().trim());
+  }
+
+  /**
+   * Removes invalid characters and newlines from a title, and shortens it to the maximum title length.
+   * @param {string} title
+   * @returns {string}
+   */
+  static filterTitle(title) {
+    return this.shorten(this.normalizeTitle(title), YouTubeStreamValidator.MAX_TITLE_LENGTH);
+  }
+
+  /**
+   * Shortens a text by whole characters, so an emoji is never cut in half.
+   * @param {string} text
+   * @param {number} maxLength - The maximum number of characters, as counted by {@link YouTubeStreamValidator.getLength}.
+   * @returns {string}
+   */
+  static shorten(text, maxLength) {
+    return Array.from(text).slice(0, maxLength).join("");
+  }
+
+  /**
+   * Removes invalid characters and newlines from a title, without shortening it.
+   * @param {string} title
+   * @returns {string}
+   */
+  static normalizeTitle(title) {
+    return title
+      .replace(this.INVALID_CHARACTERS_REGEX, "")
+      .replace(this.WHITESPACE_REGEX, " ")
+      .trim();
+  }
+
+  /**
+   * Removes invalid characters from a description, and shortens it to the maximum description size.
+   * @param {string} description
+   * @returns {string}
+   */
+  static filterDescription(description) {
+    const filtered = (description ?? "").replace(this.INVALID_CHARACTERS_REGEX, "").trim();
+    if (YouTubeStreamValidator.getByteLength(filtered) <= YouTubeStreamValidator.MAX_DESCRIPTION_BYTES) {
+      return filtered;
+    }
+
+    // The description is cut by whole characters, so an emoji is never cut in half.
+    const encoder = new TextEncoder();
+    let byteLength = 0;
+    let length = 0;
+    for (const character of filtered) {
+      byteLength += encoder.encode(character).length;
+      if (byteLength > YouTubeStreamValidator.MAX_DESCRIPTION_BYTES) {
+        break;
+      }
+      length += character.length;
+    }
+
+    return filtered.slice(0, length);
+  }
+}
+
+/**
+ * Validates a stream before it is uploaded to YouTube.
+ */
+class YouTubeStreamValidator {
+  static MAX_TITLE_LENGTH = 100;
+  static MAX_DESCRIPTION_BYTES = 5000;
+
+  /**
+   * Validates whether a stream can be uploaded to YouTube.
+   * @param {YouTubeStream} stream
+   */
+  static validate(stream) {
+    const errors = Object.values(this.getErrors(stream));
+    if (errors.length > 0) {
+      throw new Error(`Invalid stream: ${errors.join(" ")}`);
+    }
+  }
+
+  /**
+   * Gets the error messages of the invalid properties of a stream.
+   * @param {YouTubeStream} stream
+   * @returns {Object<string, string>} the error messages, by property name.
+   */
+  static getErrors(stream) {
+    const errors = {};
+    const checks = {
+      title: () => this.validateTitle(stream.getTitle()),
+      description: () => this.validateDescription(stream.getDescription()),
+      startTime: () => this.validateStartTime(stream.getStartTime()),
+      visibility: () => this.validateVisibility(stream.getVisibility()),
+      latencyPreference: () => this.validateLatencyPreference(stream.getContentDetails().latencyPreference),
+      playlistId: () => this.validatePlaylistId(stream.getPlaylistId()),
+    };
+
+    for (const [property, check] of Object.entries(checks)) {
+      try {
+        check();
+      } catch (e) {
+        errors[property] = e.message;
+      }
+    }
+
+    return errors;
+  }
+
+  static validateTitle(title) {
+    if (!title || title.trim().length === 0) {
+      throw new Error(Localization.translate("validation.titleRequired"));
+    }
+
+    if (this.getLength(title) > this.MAX_TITLE_LENGTH) {
+      throw new Error(Localization.translate("validation.titleTooLong", { max: this.MAX_TITLE_LENGTH }));
+    }
+
+    if (/[<>\r\n]/.test(title)) {
+      throw new Error(Localization.translate("validation.titleInvalid"));
+    }
+  }
+
+  static validateDescription(description) {
+    if (this.getByteLength(description ?? "") > this.MAX_DESCRIPTION_BYTES) {
+      throw new Error(Localization.translate("validation.descriptionTooLong", { max: this.MAX_DESCRIPTION_BYTES }));
+    }
+
+    if (/[<>]/.test(description ?? "")) {
+      throw new Error(Localization.translate("validation.descriptionInvalid"));
+    }
+  }
+
+  static validateStartTime(startTime) {
+    if (!(startTime instanceof Date) || isNaN(startTime.getTime())) {
+      throw new Error(Localization.translate("validation.startTimeInvalid"));
+    }
+
+    if (startTime < new Date()) {
+      throw new Error(Localization.translate("validation.startTimeInPast"));
+    }
+  }
+
+  static validateVisibility(visibility) {
+    if (!StreamVisibility.ALL.includes(visibility)) {
+      throw new Error(Localization.translate("validation.visibility", { options: StreamVisibility.ALL.join(", ") }));
+    }
+  }
+
+  static validateLatencyPreference(latencyPreference) {
+    if (!StreamLatency.ALL.includes(latencyPreference)) {
+      throw new Error(Localization.translate("validation.latency", { options: StreamLatency.ALL.join(", ") }));
+    }
+  }
+
+  static validatePlaylistId(playlistId) {
+    if (playlistId) {
+      SettingsValidator.validatePlaylistId(playlistId);
+    }
+  }
+
+  static getByteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  /**
+   * Counts the characters of a text like YouTube does, so an emoji counts as one character.
+   * @param {string} text
+   * @returns {number}
+   */
+  static getLength(text) {
+    return Array.from(text).length;
+  }
+}
+
+/**
+ * Compares a stream on YouTube with a stream generated from a plan.
+ */
+class StreamDiff {
+  /**
+   * Gets the differences between a stream on YouTube and a stream generated from a plan.
+   * @param {object} broadcast - The liveBroadcast resource of the stream on YouTube.
+   * @param {YouTubeStream} stream - The stream generated from the plan.
+   * @returns {{label: string, oldValue: string, newValue: string}[]}
+   */
+  static compare(broadcast, stream) {
+    const changes = [];
+    const snippet = broadcast.snippet;
+
+    if (snippet.title !== stream.getTitle()) {
+      changes.push({ label: Localization.translate("stream.title"), oldValue: snippet.title, newValue: stream.getTitle() });
+    }
+
+    if ((snippet.description ?? "") !== stream.getDescription()) {
+      changes.push({
+        label: Localization.translate("stream.description"),
+        ...StreamDiff.compareLines(snippet.description ?? "", stream.getDescription()),
+      });
+    }
+
+    const oldStartTime = new Date(snippet.scheduledStartTime);
+    if (oldStartTime.getTime() !== stream.getStartTime().getTime()) {
+      changes.push({
+        label: Localization.translate("stream.startTime"),
+        oldValue: Localization.formatDateTime(oldStartTime),
+        newValue: Localization.formatDateTime(stream.getStartTime()),
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Shows only the lines that were removed and added.
+   * @param {string} oldText
+   * @param {string} newText
+   * @returns {{oldValue: string, newValue: string}}
+   */
+  static compareLines(oldText, newText) {
+    const oldLines = oldText.split("\n");
+    const newLines = newText.split("\n");
+
+    return {
+      oldValue: oldLines.filter((line) => !newLines.includes(line)).map((line) => `- ${line}`).join("\n"),
+      newValue: newLines.filter((line) => !oldLines.includes(line)).map((line) => `+ ${line}`).join("\n"),
+    };
+  }
 }
 
 /**
@@ -703,10 +2455,35 @@ class YouTubeAPIService {
    */
   apiService;
 
-  CREATE_STREAM_ENDPOINT = "/liveBroadcasts?part=snippet,status";
+  CREATE_STREAM_ENDPOINT = "/liveBroadcasts?part=snippet,status,contentDetails";
+
+  UPDATE_STREAM_ENDPOINT = "/liveBroadcasts?part=snippet,status,contentDetails";
+
+  DELETE_STREAM_ENDPOINT = "/liveBroadcasts";
+
+  /**
+   * Returns at most 50 broadcasts per page, {@link YouTubeAPIService#fetchUpcomingStreams} follows the nextPageToken for the rest.
+   */
+  LIST_UPCOMING_STREAMS_ENDPOINT = "/liveBroadcasts?part=snippet,status&broadcastStatus=upcoming&maxResults=50";
+
+  GET_STREAM_ENDPOINT = "/liveBroadcasts?part=snippet,status,contentDetails";
+
+  LIST_PLAYLIST_ITEMS_ENDPOINT = "/playlistItems?part=id";
+
+  LIST_LIVE_STREAMS_ENDPOINT = "/liveStreams?part=snippet,cdn";
+
+  BIND_STREAM_ENDPOINT = "/liveBroadcasts/bind?part=id,contentDetails";
+
+  SET_THUMBNAIL_ENDPOINT = "/thumbnails/set";
 
   ADD_TO_PLAYLIST_ENDPOINT = "/playlistItems?part=snippet";
 
+  GET_VIDEO_ENDPOINT = "/videos?part=snippet";
+
+  UPDATE_VIDEO_ENDPOINT = "/videos?part=snippet";
+
+  GET_MY_CHANNEL_ENDPOINT = "/channels?part=snippet&mine=true";
+
   /**
    * @param {YouTubeApiService} apiService
    */
@@ -755,385 +2532,5041 @@ class YouTubeAPIService {
 
     return json.id;
   }
-}
-
-class PlanningCenterService {
-  static API_BASE_URL = "https://api.planningcenteronline.com/services/v2";
-
-  constructor() { }
 
   /**
-   * Gets a plan from PlanningCenter by its ID.
-   * @param {number} id the ID of the plan
-   * @returns {Promise<object>} the plan data
+   * Updates the details of an existing stream on YouTube.
+   * @param {string} videoId video id of the stream to update.
+   * @param {YouTubeStream} stream the new details of the stream.
    */
-  async fetchPlan(id) {
-    const url = this.buildPlanUrl(id);
+  async updateStream(videoId, stream) {
+    console.info(`Updating stream ${videoId} on YouTube.`);
 
-    try {
-      return await this.fetchJson(url);
-    } catch (error) {
-      throw new Error(`Failed to fetch plan: ${error}`);
-    }
+    const headers = this.apiService.getRequestHeaders();
+    headers.set("Content-Type", "application/json");
+
+    const requestData = {
+      id: videoId,
+      ...stream.serialize(),
+    };
+
+    await this.apiService.executeRequest(this.UPDATE_STREAM_ENDPOINT, {
+      method: "PUT",
+      headers: headers,
+      body: JSON.stringify(requestData),
+    });
+  }
+
+  /**
+   * Deletes a stream from YouTube.
+   * @param {string} videoId video id of the stream to delete.
+   */
+  async deleteStream(videoId) {
+    console.info(`Deleting stream ${videoId} from YouTube.`);
+
+    const endpoint = `${this.DELETE_STREAM_ENDPOINT}?id=${encodeURIComponent(videoId)}`;
+    await this.apiService.executeRequest(endpoint, {
+      method: "DELETE",
+      headers: this.apiService.getRequestHeaders(),
+    });
+  }
+
+  /**
+   * Fetches a stream from YouTube.
+   * @param {string} videoId video id of the stream.
+   * @returns {Promise<object|undefined>} the liveBroadcast resource, or undefined if it does not exist.
+   */
+  async fetchStream(videoId) {
+    const endpoint = `${this.GET_STREAM_ENDPOINT}&id=${encodeURIComponent(videoId)}`;
+    const json = await this.apiService.executeRequest(endpoint, this.apiService.getRequestOptions());
+    return json.items?.[0];
+  }
+
+  /**
+   * Fetches a video from YouTube, e.g. the recording of a stream.
+   * @param {string} videoId
+   * @returns {Promise<object|undefined>} the video resource, or undefined if it does not exist.
+   */
+  async fetchVideo(videoId) {
+    const endpoint = `${this.GET_VIDEO_ENDPOINT}&id=${encodeURIComponent(videoId)}`;
+    const json = await this.apiService.executeRequest(endpoint, this.apiService.getRequestOptions());
+    return json.items?.[0];
+  }
+
+  /**
+   * Changes the description of a video, and keeps the other details of its snippet.
+   * @param {object} video the video resource, as returned by fetchVideo.
+   * @param {string} description
+   */
+  async updateVideoDescription(video, description) {
+    console.info(`Updating the description of video ${video.id} on YouTube.`);
+
+    const headers = this.apiService.getRequestHeaders();
+    headers.set("Content-Type", "application/json");
+
+    const { title, categoryId, tags, defaultLanguage, defaultAudioLanguage } = video.snippet;
+    const requestData = {
+      id: video.id,
+      snippet: { title, description, categoryId, tags, defaultLanguage, defaultAudioLanguage },
+    };
+
+    await this.apiService.executeRequest(this.UPDATE_VIDEO_ENDPOINT, {
+      method: "PUT",
+      headers: headers,
+      body: JSON.stringify(requestData),
+    });
+  }
+
+  /**
+   * Checks whether a video is in a playlist.
+   * @param {string} playlistId
+   * @param {string} videoId
+   * @returns {Promise<boolean>}
+   */
+  async isInPlaylist(playlistId, videoId) {
+    const endpoint = `${this.LIST_PLAYLIST_ITEMS_ENDPOINT}&playlistId=${encodeURIComponent(playlistId)}&videoId=${encodeURIComponent(videoId)}`;
+    const json = await this.apiService.executeRequest(endpoint, this.apiService.getRequestOptions());
+    return (json.items ?? []).length > 0;
+  }
+
+  /**
+   * Fetches the stream keys of the authenticated channel.
+   * @returns {Promise<object[]>} the liveStream resources.
+   */
+  async fetchLiveStreams() {
+    console.info("Fetching stream keys from YouTube.");
+
+    const liveStreams = [];
+    let pageToken = "";
+
+    do {
+      let endpoint = `${this.LIST_LIVE_STREAMS_ENDPOINT}&mine=true&maxResults=50`;
+      if (pageToken) {
+        endpoint += `&pageToken=${encodeURIComponent(pageToken)}`;
+      }
+
+      const json = await this.apiService.executeRequest(endpoint, this.apiService.getRequestOptions());
+      liveStreams.push(...(json.items ?? []));
+      pageToken = json.nextPageToken;
+    } while (pageToken);
+
+    return liveStreams;
+  }
+
+  /**
+   * Fetches the channel of the authenticated user.
+   * @returns {Promise<object|undefined>} the channel resource, or undefined if the user has no channel.
+   */
+  async fetchMyChannel() {
+    console.info("Fetching the YouTube channel.");
+
+    const json = await this.apiService.executeRequest(this.GET_MY_CHANNEL_ENDPOINT, this.apiService.getRequestOptions());
+    return json.items?.[0];
+  }
+
+  /**
+   * Checks whether live streaming is enabled on the channel of the authenticated user.
+   * The channel resource does not tell this, but listing the stream keys fails when it is not enabled.
+   * @returns {Promise<boolean>}
+   */
+  async isLiveStreamingEnabled() {
+    try {
+      await this.apiService.executeRequest(`${this.LIST_LIVE_STREAMS_ENDPOINT}&mine=true&maxResults=1`, this.apiService.getRequestOptions());
+      return true;
+    } catch (e) {
+      if (e.reason === YouTubeApiError.LIVE_STREAMING_NOT_ENABLED_REASON) {
+        return false;
+      }
+
+      throw e;
+    }
+  }
+
+  /**
+   * Fetches a stream key of the authenticated channel.
+   * @param {string} liveStreamId
+   * @returns {Promise<object|undefined>} the liveStream resource, or undefined if it does not exist.
+   */
+  async fetchLiveStream(liveStreamId) {
+    const endpoint = `${this.LIST_LIVE_STREAMS_ENDPOINT}&id=${encodeURIComponent(liveStreamId)}`;
+    const json = await this.apiService.executeRequest(endpoint, this.apiService.getRequestOptions());
+    return json.items?.[0];
+  }
+
+  /**
+   * Binds a stream key to a stream, so the stream receives the video sent to that stream key.
+   * @param {string} videoId video id of the stream.
+   * @param {string} liveStreamId id of the stream key.
+   */
+  async bindLiveStream(videoId, liveStreamId) {
+    console.info(`Binding stream key ${liveStreamId} to stream ${videoId}.`);
+
+    const endpoint = `${this.BIND_STREAM_ENDPOINT}&id=${encodeURIComponent(videoId)}&streamId=${encodeURIComponent(liveStreamId)}`;
+    await this.apiService.executeRequest(endpoint, {
+      method: "POST",
+      headers: this.apiService.getRequestHeaders(),
+    });
+  }
+
+  /**
+   * Uploads the thumbnail of a stream.
+   * @param {string} videoId video id of the stream.
+   * @param {Blob} image the thumbnail image.
+   */
+  async setThumbnail(videoId, image) {
+    console.info(`Uploading thumbnail of stream ${videoId}.`);
+
+    const headers = this.apiService.getRequestHeaders();
+    headers.set("Content-Type", image.type);
+
+    const url = this.apiService.buildUploadUrl(`${this.SET_THUMBNAIL_ENDPOINT}?videoId=${encodeURIComponent(videoId)}`);
+    await this.apiService.executeRequest(url, {
+      method: "POST",
+      headers: headers,
+      body: image,
+    });
+  }
+
+  /**
+   * Fetches all upcoming streams of the authenticated channel, from every page of results.
+   * @returns {Promise<object[]>} the liveBroadcast resources of the upcoming streams.
+   */
+  async fetchUpcomingStreams() {
+    console.info("Fetching upcoming streams from YouTube.");
+
+    const streams = [];
+    const pageTokens = new Set();
+    let pageToken = "";
+
+    do {
+      const endpoint = pageToken
+        ? `${this.LIST_UPCOMING_STREAMS_ENDPOINT}&pageToken=${encodeURIComponent(pageToken)}`
+        : this.LIST_UPCOMING_STREAMS_ENDPOINT;
+
+      const json = await this.apiService.executeRequest(endpoint, this.apiService.getRequestOptions());
+      streams.push(...(json.items ?? []));
+      pageTokens.add(pageToken);
+      pageToken = json.nextPageToken;
+      // A page that was already fetched would make this loop forever.
+    } while (pageToken && !pageTokens.has(pageToken));
+
+    return streams;
+  }
+}
+
+/**
+ * Finds out on which YouTube channel streams are created, and checks whether that is the right channel.
+ */
+class ChannelService {
+  /**
+   * The YouTube API service used to fetch the channel.
+   * @type {YouTubeAPIService}
+   */
+  youtubeApiService;
+
+  /**
+   * The authentication service used to find out whether the user is logged in.
+   * @type {AuthService}
+   */
+  authService;
+
+  /**
+   * The channel of the access token it was fetched with, so it is fetched again after switching accounts.
+   * @type {{accessToken: string, channel: object|undefined, isLiveStreamingEnabled: boolean}|undefined}
+   */
+  cache;
+
+  /**
+   * @param {YouTubeAPIService} youtubeApiService
+   * @param {AuthService} authService
+   */
+  constructor(youtubeApiService, authService) {
+    this.youtubeApiService = youtubeApiService;
+    this.authService = authService;
+  }
+
+  /**
+   * @returns {boolean} whether the channel can be fetched without asking the user to log in.
+   */
+  isLoggedIn() {
+    return this.authService.isAuthenticated();
+  }
+
+  /**
+   * Fetches the channel of the logged in user, the user is asked to log in if needed.
+   * @returns {Promise<{channel: object|undefined, isLiveStreamingEnabled: boolean}>}
+   */
+  async getChannel() {
+    if (!this.cache || this.cache.accessToken !== this.authService.getAccessToken()) {
+      const channel = await this.youtubeApiService.fetchMyChannel();
+      const isLiveStreamingEnabled = channel ? await this.youtubeApiService.isLiveStreamingEnabled() : false;
+
+      // The access token is read after fetching, because the user may have logged in while fetching.
+      this.cache = { accessToken: this.authService.getAccessToken(), channel, isLiveStreamingEnabled };
+    }
+
+    return this.cache;
+  }
+
+  /**
+   * @returns {object|undefined} the channel that was fetched last, without fetching it.
+   */
+  getCachedChannel() {
+    return this.cache?.channel;
+  }
+
+  /**
+   * Checks whether streams can be created on the channel of the logged in user.
+   * @param {string} expectedChannelId - The id of the channel streams should be created on, or an empty string to allow every channel.
+   * @returns {Promise<object>} the channel resource.
+   */
+  async verify(expectedChannelId) {
+    const { channel, isLiveStreamingEnabled } = await this.getChannel();
+    if (!channel) {
+      throw new Error(Localization.translate("channel.notFound"));
+    }
+
+    const expectedId = expectedChannelId.trim();
+    if (expectedId && channel.id !== expectedId) {
+      throw new Error(Localization.translate("channel.mismatch", { name: channel.snippet.title, id: channel.id, expectedId }));
+    }
+
+    if (!isLiveStreamingEnabled) {
+      throw new Error(Localization.translate("youtubeError.liveStreamingNotEnabled"));
+    }
+
+    return channel;
+  }
+}
+
+/**
+ * Builds links to the pages of a video on YouTube.
+ */
+class YouTubeLinks {
+  /**
+   * @param {string} videoId
+   * @returns {string} the link to watch the video.
+   */
+  static getWatchUrl(videoId) {
+    return `https://www.youtube.com/watch?v=${videoId}`;
+  }
+
+  /**
+   * @param {string} videoId
+   * @returns {string} the link to manage the stream in YouTube Studio.
+   */
+  static getStudioUrl(videoId) {
+    return `https://studio.youtube.com/video/${videoId}/livestreaming`;
+  }
+}
+
+/**
+ * Builds links to the pages of PlanningCenter.
+ */
+class PlanningCenterLinks {
+  /**
+   * @param {number|string} planId
+   * @returns {string} the link to the page of the plan.
+   */
+  static getPlanUrl(planId) {
+    return `https://services.planningcenteronline.com${App.PLANS_PAGE_PREFIX}${planId}`;
+  }
+}
+
+/**
+ * Remembers which YouTube streams were created for which plans.
+ */
+class PlanStreamStorage {
+  static PLAN_STREAMS_KEY = "PLAN_STREAMS";
+
+  constructor() { }
+
+  /**
+   * Gets the video ids of the streams that were created for a plan.
+   * @param {number} planId
+   * @returns {string[]}
+   */
+  getVideoIds(planId) {
+    return this.loadAll()[planId] ?? [];
+  }
+
+  /**
+   * Links a stream to a plan.
+   * @param {number} planId
+   * @param {string} videoId
+   */
+  addVideoId(planId, videoId) {
+    const planStreams = this.loadAll();
+    const videoIds = planStreams[planId] ?? [];
+    if (!videoIds.includes(videoId)) {
+      planStreams[planId] = [...videoIds, videoId];
+      SettingsStorage.save(PlanStreamStorage.PLAN_STREAMS_KEY, planStreams);
+    }
+  }
+
+  /**
+   * Removes the link between a stream and a plan.
+   * @param {number} planId
+   * @param {string} videoId
+   */
+  removeVideoId(planId, videoId) {
+    const planStreams = this.loadAll();
+    const videoIds = (planStreams[planId] ?? []).filter((id) => id !== videoId);
+    if (videoIds.length > 0) {
+      planStreams[planId] = videoIds;
+    } else {
+      delete planStreams[planId];
+    }
+
+    SettingsStorage.save(PlanStreamStorage.PLAN_STREAMS_KEY, planStreams);
+  }
+
+  /**
+   * @returns {Object<number, string[]>} the video ids of the streams, by plan id.
+   */
+  loadAll() {
+    return SettingsStorage.load(PlanStreamStorage.PLAN_STREAMS_KEY) ?? {};
+  }
+}
+
+/**
+ * Represents what happened to a stream in the stream history.
+ */
+class StreamHistoryAction {
+  static CREATED = "created";
+  static UPDATED = "updated";
+  static FAILED = "failed";
+
+  static ALL = [StreamHistoryAction.CREATED, StreamHistoryAction.UPDATED, StreamHistoryAction.FAILED];
+}
+
+/**
+ * Remembers the streams that were created and updated from this browser, and the attempts that failed.
+ */
+class StreamHistoryStorage {
+  static STREAM_HISTORY_KEY = "STREAM_HISTORY";
+
+  /**
+   * The number of records that are kept, older records are removed.
+   */
+  static MAX_RECORDS = 1000;
+
+  constructor() { }
+
+  /**
+   * Adds a record to the history.
+   * @param {{timestamp: string, action: string, planId: number, planDate: string, videoId: string, title: string, playlistId: string, account: string, channelId: string, error: string}} record
+   */
+  add(record) {
+    const records = [...this.loadAll(), record].slice(-StreamHistoryStorage.MAX_RECORDS);
+    SettingsStorage.save(StreamHistoryStorage.STREAM_HISTORY_KEY, records);
+  }
+
+  /**
+   * @returns {object[]} the records, oldest first.
+   */
+  loadAll() {
+    return SettingsStorage.load(StreamHistoryStorage.STREAM_HISTORY_KEY) ?? [];
+  }
+}
+
+/**
+ * Filters and exports the records of the stream history.
+ */
+class StreamHistory {
+  /**
+   * The columns of the exported CSV file, which are the properties of the records and the links to the stream and plan.
+   */
+  static CSV_COLUMNS = [
+    "timestamp",
+    "action",
+    "planId",
+    "planDate",
+    "videoId",
+    "title",
+    "playlistId",
+    "account",
+    "channelId",
+    "error",
+    "studioUrl",
+    "planUrl",
+  ];
+
+  static CSV_SEPARATOR = ",";
+
+  /**
+   * Spreadsheets run values that start with these characters as formulas, titles and errors can contain them.
+   */
+  static CSV_FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+  static CSV_LINE_SEPARATOR = "\r\n";
+
+  /**
+   * Finds the records that match a filter.
+   * @param {object[]} records
+   * @param {{query: string, action: string, month: string}} filter - The month is written as "yyyy-MM", empty values match every record.
+   * @returns {object[]} the matching records, newest first.
+   */
+  static filter(records, filter) {
+    const query = filter.query.trim().toLowerCase();
+
+    return records
+      .filter((record) => !filter.action || record.action === filter.action)
+      .filter((record) => !filter.month || (record.planDate || record.timestamp).startsWith(filter.month))
+      .filter((record) => !query || [record.title, String(record.planId), record.videoId, record.account, record.channelId]
+        .some((value) => (value ?? "").toLowerCase().includes(query)))
+      .reverse();
+  }
+
+  /**
+   * @param {object[]} records
+   * @returns {string} the records as a CSV file, with a header line.
+   */
+  static toCsv(records) {
+    const lines = records.map((record) => this.CSV_COLUMNS.map((column) => this.escapeCsvValue(this.getValue(record, column))));
+    return [this.CSV_COLUMNS, ...lines].map((line) => line.join(this.CSV_SEPARATOR)).join(this.CSV_LINE_SEPARATOR);
+  }
+
+  /**
+   * @param {object[]} records
+   * @returns {string} the records as a JSON file.
+   */
+  static toJson(records) {
+    return JSON.stringify(records, null, 2);
+  }
+
+  static getValue(record, column) {
+    switch (column) {
+      case "studioUrl":
+        return record.videoId ? YouTubeLinks.getStudioUrl(record.videoId) : "";
+      case "planUrl":
+        return PlanningCenterLinks.getPlanUrl(record.planId);
+      default:
+        return String(record[column] ?? "");
+    }
+  }
+
+  static escapeCsvValue(value) {
+    const text = this.CSV_FORMULA_PREFIX_PATTERN.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll("\"", "\"\"")}"` : text;
+  }
+}
+
+class PlanningCenterService {
+  static API_BASE_URL = "https://api.planningcenteronline.com/services/v2";
+
+  constructor() { }
+
+  /**
+   * Gets a plan from PlanningCenter by its ID.
+   * @param {number} id the ID of the plan
+   * @returns {Promise<object>} the plan data
+   */
+  async fetchPlan(id) {
+    const url = this.buildPlanUrl(id);
+
+    try {
+      return await this.fetchJson(url);
+    } catch (error) {
+      throw new Error(`Failed to fetch plan: ${error}`);
+    }
+  }
+
+  /**
+   * Gets the notes in a plan from PlanningCenter by its ID.
+   * @param {number} planId the ID of the plan
+   * @returns {Promise<object>} the notes in the plan
+   */
+  async fetchNotes(planId) {
+    const url = `${this.buildPlanUrl(planId)}/notes`;
+
+    try {
+      return await this.fetchJson(url);
+    } catch (error) {
+      throw new Error(`Failed to fetch notes: ${error}`);
+    }
+  }
+
+  /**
+   * Gets the songs in a plan from PlanningCenter by its ID, in the order of the plan items.
+   * A song that is used twice is only included the first time.
+   * @param {number} planId the ID of the plan
+   * @param {object[]} [items] the items in the plan, fetched when they are not given
+   * @returns {Promise<{song: object, arrangement: object|null}[]>} the songs in the plan, with the arrangement used in the plan
+   */
+  async fetchSongs(planId, items = undefined) {
+    items ??= await this.fetchItems(planId);
+    const songItems = items
+      .filter((item) => item.relationships.song?.data)
+      .filter((item, index, songItems) => songItems.findIndex((other) => other.relationships.song.data.id === item.relationships.song.data.id) === index);
+
+    try {
+      const promises = songItems.map(async (item) => {
+        const songId = item.relationships.song.data.id;
+        const arrangementId = item.relationships.arrangement?.data?.id;
+        const [song, arrangement] = await Promise.all([
+          this.fetchSong(songId),
+          arrangementId ? this.fetchArrangement(songId, arrangementId) : null,
+        ]);
+        return { song: song.data, arrangement: arrangement?.data ?? null };
+      });
+      return await Promise.all(promises);
+    } catch (error) {
+      throw new Error(`Failed to fetch songs: ${error}`);
+    }
+  }
+
+  /**
+   * Gets a service type from PlanningCenter by its ID.
+   * @param {number} id the ID of the service type
+   * @returns {Promise<object>} the service type data
+   */
+  async fetchServiceType(id) {
+    const url = `${PlanningCenterService.API_BASE_URL}/service_types/${id}`;
+
+    try {
+      return await this.fetchJson(url);
+    } catch (error) {
+      throw new Error(`Failed to fetch service type: ${error}`);
+    }
+  }
+
+  async fetchSong(songId) {
+    const url = `${PlanningCenterService.API_BASE_URL}/songs/${songId}`;
+
+    try {
+      return await this.fetchJson(url);
+    } catch (error) {
+      throw new Error(`Failed to fetch song: ${error}`);
+    }
+  }
+
+  async fetchArrangement(songId, arrangementId) {
+    const url = `${PlanningCenterService.API_BASE_URL}/songs/${songId}/arrangements/${arrangementId}`;
+
+    try {
+      return await this.fetchJson(url);
+    } catch (error) {
+      throw new Error(`Failed to fetch arrangement: ${error}`);
+    }
+  }
+
+  /**
+   * Gets the items in a plan from PlanningCenter by its ID.
+   * @param {number} planId the ID of the plan
+   * @returns {Promise<object[]>} the items in the plan, in plan order
+   */
+  async fetchItems(planId) {
+    const url = `${this.buildPlanUrl(planId)}/items`;
+
+    try {
+      const items = await this.fetchAllJsonData(url);
+      return this.sortItems(items);
+    } catch (error) {
+      throw new Error(`Failed to fetch items: ${error}`);
+    }
+  }
+
+  /**
+   * Gets the items in a plan with the times at which they actually started, as recorded by Services Live.
+   * @param {number} planId the ID of the plan
+   * @returns {Promise<{items: object[], itemTimes: object[]}>} the items in plan order, and their item times
+   */
+  async fetchItemTimes(planId) {
+    const url = `${this.buildPlanUrl(planId)}/items?include=item_times`;
+
+    try {
+      const { data, included } = await this.fetchAllJson(url);
+      return {
+        items: this.sortItems(data),
+        itemTimes: included.filter((resource) => resource.type === PlanningCenterService.ITEM_TIME_TYPE),
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch item times: ${error}`);
+    }
+  }
+
+  /**
+   * Gets the times of a plan, e.g. its service times and rehearsals.
+   * @param {number} planId the ID of the plan
+   * @returns {Promise<object[]>} the plan times, with their time_type, name and starts_at
+   */
+  async fetchPlanTimes(planId) {
+    const url = `${this.buildPlanUrl(planId)}/plan_times`;
+
+    try {
+      return await this.fetchAllJsonData(url);
+    } catch (error) {
+      throw new Error(`Failed to fetch plan times: ${error}`);
+    }
+  }
+
+  /**
+   * Gets the organization of the user, e.g. its name and time zone.
+   * @returns {Promise<object>} the organization data
+   */
+  async fetchOrganization() {
+    try {
+      return await this.fetchJson(PlanningCenterService.API_BASE_URL);
+    } catch (error) {
+      throw new Error(`Failed to fetch organization: ${error}`);
+    }
+  }
+
+  /**
+   * Gets the people that are scheduled in a plan.
+   * @param {number} planId the ID of the plan
+   * @returns {Promise<object[]>} the team members, with their name, team_position_name and status
+   */
+  async fetchTeamMembers(planId) {
+    const url = `${this.buildPlanUrl(planId)}/team_members`;
+
+    try {
+      return await this.fetchAllJsonData(url);
+    } catch (error) {
+      throw new Error(`Failed to fetch team members: ${error}`);
+    }
+  }
+
+  /**
+   * Gets the items in a plan with their item notes.
+   * @param {number} planId the ID of the plan
+   * @returns {Promise<{items: object[], itemNotes: object[]}>} the items in plan order, and their item notes
+   */
+  async fetchItemNotes(planId) {
+    const url = `${this.buildPlanUrl(planId)}/items?include=item_notes`;
+
+    try {
+      const { data, included } = await this.fetchAllJson(url);
+      return {
+        items: this.sortItems(data),
+        itemNotes: included.filter((resource) => resource.type === PlanningCenterService.ITEM_NOTE_TYPE),
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch item notes: ${error}`);
+    }
+  }
+
+  sortItems(items) {
+    return items.sort((a, b) => a.attributes.sequence - b.attributes.sequence);
+  }
+
+  async fetchAllJsonData(url) {
+    const { data } = await this.fetchAllJson(url);
+    return data;
+  }
+
+  /**
+   * Fetches all pages of a list, including the related resources that were requested with ?include=.
+   * @param {string} url
+   * @returns {Promise<{data: object[], included: object[]}>}
+   */
+  async fetchAllJson(url) {
+    const allData = [];
+    const allIncluded = [];
+    let nextUrl = url;
+
+    while (nextUrl) {
+      const json = await this.fetchJson(nextUrl);
+      const data = json.data;
+      if (data) {
+        allData.push(...data);
+      }
+      if (json.included) {
+        allIncluded.push(...json.included);
+      }
+
+      nextUrl = json.links?.next;
+    }
+
+    return { data: allData, included: allIncluded };
+  }
+
+  /**
+   * Gets the plans of a service type that have not taken place yet.
+   * @param {number} serviceTypeId the ID of the service type
+   * @returns {Promise<object[]>} the future plans, ordered by date
+   */
+  async fetchFuturePlans(serviceTypeId) {
+    const url = `${PlanningCenterService.API_BASE_URL}/service_types/${serviceTypeId}/plans?filter=future&order=sort_date`;
+
+    try {
+      return await this.fetchAllJsonData(url);
+    } catch (error) {
+      throw new Error(`Failed to fetch future plans: ${error}`);
+    }
+  }
+
+  /**
+   * Gets the plan note categories of a service type.
+   * @param {number} serviceTypeId the ID of the service type
+   * @returns {Promise<object[]>} the plan note categories
+   */
+  async fetchPlanNoteCategories(serviceTypeId) {
+    const url = `${PlanningCenterService.API_BASE_URL}/service_types/${serviceTypeId}/plan_note_categories`;
+
+    try {
+      return await this.fetchAllJsonData(url);
+    } catch (error) {
+      throw new Error(`Failed to fetch plan note categories: ${error}`);
+    }
+  }
+
+  /**
+   * Adds a note to a plan.
+   * @param {number} planId the ID of the plan
+   * @param {string} categoryId the ID of the plan note category
+   * @param {string} content the content of the note
+   * @returns {Promise<object>} the created note
+   */
+  async createNote(planId, categoryId, content) {
+    const url = `${this.buildPlanUrl(planId)}/notes`;
+
+    try {
+      return await this.sendJson(url, "POST", {
+        data: {
+          type: "PlanNote",
+          attributes: {
+            content: content,
+            plan_note_category_id: categoryId,
+          },
+        },
+      });
+    } catch (error) {
+      throw new Error(`Failed to create note: ${error}`);
+    }
+  }
+
+  /**
+   * Changes the content of a note in a plan.
+   * @param {number} planId the ID of the plan
+   * @param {string} noteId the ID of the note
+   * @param {string} content the new content of the note
+   * @returns {Promise<object>} the updated note
+   */
+  async updateNote(planId, noteId, content) {
+    const url = `${this.buildPlanUrl(planId)}/notes/${noteId}`;
+
+    try {
+      return await this.sendJson(url, "PATCH", {
+        data: {
+          type: "PlanNote",
+          id: noteId,
+          attributes: {
+            content: content,
+          },
+        },
+      });
+    } catch (error) {
+      throw new Error(`Failed to update note: ${error}`);
+    }
+  }
+
+  async fetchJson(url) {
+    const res = await fetch(url, { credentials: "include" });
+    return await res.json();
+  }
+
+  async sendJson(url, method, data) {
+    const headers = new Headers();
+    headers.set("Content-Type", "application/vnd.api+json");
+
+    // PlanningCenter protects changes made with the session cookie against CSRF.
+    const csrfToken = document.querySelector(PlanningCenterService.CSRF_TOKEN_SELECTOR)?.content;
+    if (csrfToken) {
+      headers.set("X-CSRF-Token", csrfToken);
+    }
+
+    const res = await fetch(url, {
+      method: method,
+      headers: headers,
+      credentials: "include",
+      body: JSON.stringify(data),
+    });
+
+    if (!res.ok) {
+      throw new Error(`PlanningCenter responded with status ${res.status}.`);
+    }
+
+    return await res.json();
+  }
+
+  buildPlanUrl(id) {
+    return `${PlanningCenterService.API_BASE_URL}/plans/${id}`;
+  }
+
+  static CSRF_TOKEN_SELECTOR = `meta[name="csrf-token"]`;
+
+  static ITEM_TIME_TYPE = "ItemTime";
+
+  static ITEM_NOTE_TYPE = "ItemNote";
+}
+
+/**
+ * Stores the links to the YouTube streams of a plan in a note of the plan, so the whole team can find them.
+ */
+class StreamNoteService {
+  static WATCH_URL_REGEX = /youtube\.com\/watch\?v=([\w-]+)/g;
+
+  /**
+   * The PlanningCenter service used to read and write the notes.
+   * @type {PlanningCenterService}
+   */
+  planningCenterService;
+
+  /**
+   * The settings service used to read the note category.
+   * @type {SettingsService}
+   */
+  settingsService;
+
+  /**
+   * @param {PlanningCenterService} planningCenterService
+   * @param {SettingsService} settingsService
+   */
+  constructor(planningCenterService, settingsService) {
+    this.planningCenterService = planningCenterService;
+    this.settingsService = settingsService;
+  }
+
+  /**
+   * Checks whether the links should be stored in the plan.
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.getCategory() !== "";
+  }
+
+  /**
+   * Gets the video ids of the streams in the note of a plan.
+   * @param {number} planId
+   * @returns {Promise<string[]>}
+   */
+  async getVideoIds(planId) {
+    if (!this.isEnabled()) {
+      return [];
+    }
+
+    const note = await this.findNote(planId);
+    return note ? this.parseVideoIds(note.attributes.content) : [];
+  }
+
+  /**
+   * Adds the links of a stream to the note of a plan.
+   * @param {number} planId
+   * @param {string} videoId
+   */
+  async addVideoId(planId, videoId) {
+    await this.changeVideoIds(planId, (videoIds) => videoIds.includes(videoId) ? videoIds : [...videoIds, videoId]);
+  }
+
+  /**
+   * Removes the links of a stream from the note of a plan.
+   * @param {number} planId
+   * @param {string} videoId
+   */
+  async removeVideoId(planId, videoId) {
+    await this.changeVideoIds(planId, (videoIds) => videoIds.filter((id) => id !== videoId));
+  }
+
+  async changeVideoIds(planId, change) {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const note = await this.findNote(planId);
+    const videoIds = change(note ? this.parseVideoIds(note.attributes.content) : []);
+    const content = this.formatContent(videoIds);
+
+    if (note) {
+      console.info(`Updating ${this.getCategory()} note of plan ${planId}.`);
+      await this.planningCenterService.updateNote(planId, note.id, content);
+    } else {
+      console.info(`Adding ${this.getCategory()} note to plan ${planId}.`);
+      const categoryId = await this.getCategoryId(planId);
+      await this.planningCenterService.createNote(planId, categoryId, content);
+    }
+  }
+
+  async findNote(planId) {
+    const notes = await this.planningCenterService.fetchNotes(planId);
+    return notes.data.find((note) => note.attributes.category_name === this.getCategory());
+  }
+
+  async getCategoryId(planId) {
+    const plan = await this.planningCenterService.fetchPlan(planId);
+    const serviceTypeId = plan.data.relationships.service_type.data.id;
+    const categories = await this.planningCenterService.fetchPlanNoteCategories(serviceTypeId);
+    const category = categories.find((category) => category.attributes.name === this.getCategory());
+    if (!category) {
+      throw new Error(Localization.translate("note.categoryMissing", { category: this.getCategory() }));
+    }
+
+    return category.id;
+  }
+
+  /**
+   * @param {string} content
+   * @returns {string[]}
+   */
+  parseVideoIds(content) {
+    const videoIds = [...(content ?? "").matchAll(StreamNoteService.WATCH_URL_REGEX)].map((match) => match[1]);
+    return [...new Set(videoIds)];
+  }
+
+  /**
+   * @param {string[]} videoIds
+   * @returns {string}
+   */
+  formatContent(videoIds) {
+    return videoIds.map((videoId) => [
+      `YouTube: ${YouTubeLinks.getWatchUrl(videoId)}`,
+      `Studio: ${YouTubeLinks.getStudioUrl(videoId)}`,
+    ].join("\n")).join("\n\n");
+  }
+
+  getCategory() {
+    return this.settingsService.get(SettingsService.STREAM_NOTE_CATEGORY_KEY).trim();
+  }
+}
+
+/**
+ * Represents a modal dialog that is shown on top of the PlanningCenter UI.
+ */
+class Modal {
+  static STYLE_ID = "yt-stream-modal-style";
+
+  static STYLE = `
+    .yt-stream-modal-overlay { position: fixed; inset: 0; z-index: 10000; display: flex; align-items: center; justify-content: center; background: rgba(0, 0, 0, 0.5); }
+    .yt-stream-modal { display: flex; flex-direction: column; width: min(720px, 95vw); max-height: 90vh; background: #fff; border-radius: 6px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3); font-size: 14px; color: #222; }
+    .yt-stream-modal h2 { margin: 0; padding: 16px 20px; font-size: 18px; border-bottom: 1px solid #ddd; }
+    .yt-stream-modal-body { padding: 16px 20px; overflow-y: auto; }
+    .yt-stream-modal-footer { display: flex; justify-content: flex-end; gap: 8px; padding: 12px 20px; border-top: 1px solid #ddd; }
+    .yt-stream-modal-footer button { padding: 6px 14px; border: 1px solid #bbb; border-radius: 4px; background: #f5f5f5; cursor: pointer; }
+    .yt-stream-modal-footer button.primary { border-color: #c00; background: #c00; color: #fff; }
+    .yt-stream-field { display: flex; flex-direction: column; gap: 4px; margin-bottom: 12px; }
+    .yt-stream-field label { font-weight: 600; }
+    .yt-stream-field input[type="checkbox"] { align-self: flex-start; }
+    .yt-stream-thumbnail { width: 100%; max-width: 480px; border-radius: 4px; }
+    .yt-stream-field input, .yt-stream-field textarea, .yt-stream-field select { padding: 6px; border: 1px solid #bbb; border-radius: 4px; font: inherit; }
+    .yt-stream-field textarea { min-height: 160px; font-family: monospace; }
+    .yt-stream-field-help { color: #666; font-size: 12px; }
+    .yt-stream-bulk-row { display: flex; align-items: center; gap: 8px; padding: 4px 0; }
+    .yt-stream-bulk-row label { flex: 1; }
+    .yt-stream-floating-button { position: fixed; right: 24px; bottom: 24px; z-index: 9999; padding: 10px 16px; border: none; border-radius: 4px; background: #c00; color: #fff; font-weight: 600; cursor: pointer; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3); }
+    .yt-stream-field-error { color: #c00; }
+    .yt-stream-field-action { align-self: flex-start; padding: 4px 10px; border: 1px solid #bbb; border-radius: 4px; background: #f5f5f5; cursor: pointer; }
+    .yt-stream-channel { display: inline-flex; align-items: center; gap: 6px; margin: 0 8px; font-size: 13px; }
+    .yt-stream-channel img { width: 24px; height: 24px; border-radius: 50%; }
+    .yt-stream-preview { margin: 0; padding: 8px; max-height: 240px; overflow-y: auto; white-space: pre-wrap; background: #f5f5f5; border-radius: 4px; }
+  `;
+
+  /**
+   * The element that covers the page behind the modal.
+   * @type {HTMLDivElement}
+   */
+  overlay;
+
+  /**
+   * The element that contains the content of the modal.
+   * @type {HTMLDivElement}
+   */
+  body;
+
+  /**
+   * The element that contains the buttons of the modal.
+   * @type {HTMLDivElement}
+   */
+  footer;
+
+  /**
+   * @param {string} title - The title shown at the top of the modal.
+   */
+  constructor(title) {
+    Modal.injectStyle();
+
+    this.body = DomService.createElement("div", { className: "yt-stream-modal-body" });
+    this.footer = DomService.createElement("div", { className: "yt-stream-modal-footer" });
+
+    const modal = DomService.createElement("div", { className: "yt-stream-modal" }, [
+      DomService.createElement("h2", { textContent: title }),
+      this.body,
+      this.footer,
+    ]);
+
+    this.overlay = DomService.createElement("div", { className: "yt-stream-modal-overlay" }, [modal]);
+  }
+
+  /**
+   * Adds a button to the footer of the modal.
+   * @param {string} label - The text on the button.
+   * @param {Function} onClick - The function to call when the button is clicked.
+   * @param {boolean} primary - Whether the button is the main action of the modal.
+   * @returns {HTMLButtonElement}
+   */
+  addButton(label, onClick, primary = false) {
+    const button = DomService.createElement("button", {
+      type: "button",
+      textContent: label,
+      className: primary ? "primary" : "",
+    });
+    button.addEventListener("click", onClick);
+    this.footer.appendChild(button);
+
+    return button;
+  }
+
+  open() {
+    document.body.appendChild(this.overlay);
+  }
+
+  close() {
+    this.overlay.remove();
+  }
+
+  static injectStyle() {
+    if (document.getElementById(Modal.STYLE_ID)) {
+      return;
+    }
+
+    const style = DomService.createElement("style", {
+      id: Modal.STYLE_ID,
+      textContent: Modal.STYLE,
+    });
+    document.head.appendChild(style);
+  }
+}
+
+/**
+ * Shows a panel that allows the user to edit the settings of the script.
+ */
+class SettingsPanel {
+  /**
+   * The settings service used to load and save the settings.
+   * @type {SettingsService}
+   */
+  settingsService;
+
+  /**
+   * The inputs of the settings, by setting key.
+   * @type {Object<string, HTMLInputElement|HTMLTextAreaElement>}
+   */
+  inputs = {};
+
+  /**
+   * The elements that show the validation errors, by setting key.
+   * @type {Object<string, HTMLDivElement>}
+   */
+  errorElements = {};
+
+  /**
+   * The plan context service used to fetch the plan that is used for the template preview.
+   * @type {PlanContextService}
+   */
+  planContextService;
+
+  /**
+   * @type {DomService}
+   */
+  domService;
+
+  /**
+   * The plan used to render the template preview, if the panel was opened on a plan page.
+   * @type {PlanContext|undefined}
+   */
+  previewContext;
+
+  /**
+   * The element that shows the template preview.
+   * @type {HTMLPreElement}
+   */
+  previewElement;
+
+  /**
+   * The YouTube API service used to load the options of some settings.
+   * @type {YouTubeAPIService}
+   */
+  youtubeApiService;
+
+  /**
+   * The authentication service used to log out and to switch the Google account.
+   * @type {AuthService}
+   */
+  authService;
+
+  /**
+   * @param {SettingsService} settingsService
+   * @param {PlanContextService} planContextService
+   * @param {DomService} domService
+   * @param {YouTubeAPIService} youtubeApiService
+   * @param {AuthService} authService
+   */
+  constructor(settingsService, planContextService, domService, youtubeApiService, authService) {
+    this.settingsService = settingsService;
+    this.planContextService = planContextService;
+    this.domService = domService;
+    this.youtubeApiService = youtubeApiService;
+    this.authService = authService;
+  }
+
+  /**
+   * Opens the settings panel.
+   */
+  open() {
+    DebugLogging.debug("Opening settings panel.");
+
+    const modal = new Modal(Localization.translate("settings.title"));
+    const values = this.settingsService.getAll();
+
+    modal.body.appendChild(this.createAccountSection());
+    for (const field of SettingsService.FIELDS) {
+      modal.body.appendChild(this.createField(field, values[field.key]));
+    }
+
+    modal.body.appendChild(this.createPreview());
+    modal.body.addEventListener("input", () => this.updatePreview());
+    this.loadPreviewContext();
+
+    modal.addButton(Localization.translate("settings.reset"), () => this.onResetClick(modal));
+    modal.addButton(Localization.translate("dialog.cancel"), () => modal.close());
+    modal.addButton(Localization.translate("dialog.save"), () => this.onSaveClick(modal), true);
+    modal.open();
+  }
+
+  /**
+   * Creates the section that shows whether the user is logged in, and lets the user log out or switch the Google account.
+   * @returns {HTMLDivElement}
+   */
+  createAccountSection() {
+    const status = DomService.createElement("div", { className: "yt-stream-field-help" });
+    const error = DomService.createElement("div", { className: "yt-stream-field-error" });
+    const switchButton = DomService.createElement("button", {
+      type: "button",
+      className: "yt-stream-field-action",
+      textContent: Localization.translate("settings.switchAccount"),
+    });
+    const logoutButton = DomService.createElement("button", {
+      type: "button",
+      className: "yt-stream-field-action",
+      textContent: Localization.translate("settings.logout"),
+    });
+
+    const onClick = async (action, doneMessage) => {
+      switchButton.disabled = true;
+      logoutButton.disabled = true;
+      error.textContent = "";
+      try {
+        await action();
+        this.updateAccountStatus(status);
+        status.textContent += ` ${doneMessage}`;
+      } catch (e) {
+        console.error(e);
+        this.updateAccountStatus(status);
+        error.textContent = Localization.translate("settings.accountFailed", { error: e.message });
+      } finally {
+        switchButton.disabled = false;
+        logoutButton.disabled = false;
+      }
+    };
+    switchButton.addEventListener("click", () => onClick(() => this.authService.switchAccount(), Localization.translate("settings.accountSwitched")));
+    logoutButton.addEventListener("click", () => onClick(() => this.authService.logout(), Localization.translate("settings.loggedOutDone")));
+
+    this.updateAccountStatus(status);
+
+    return DomService.createElement("div", { className: "yt-stream-field" }, [
+      DomService.createElement("label", { textContent: Localization.translate("settings.account") }),
+      status,
+      switchButton,
+      logoutButton,
+      error,
+    ]);
+  }
+
+  updateAccountStatus(status) {
+    status.textContent = this.authService.isAuthenticated()
+      ? Localization.translate("settings.loggedIn", { expiry: Localization.formatDateTime(new Date(this.authService.getExpirationTimestamp())) })
+      : Localization.translate("settings.loggedOut");
+  }
+
+  createField(field, value) {
+    const id = `yt-stream-setting-${field.key}`;
+    const input = this.createInput(field, value);
+    input.id = id;
+    const error = DomService.createElement("div", { className: "yt-stream-field-error" });
+
+    this.inputs[field.key] = input;
+    this.errorElements[field.key] = error;
+
+    return DomService.createElement("div", { className: "yt-stream-field" }, [
+      DomService.createElement("label", { htmlFor: id, textContent: Localization.translateSettingLabel(field) }),
+      input,
+      ...(field.loadOptions ? [this.createLoadOptionsButton(field, input, error)] : []),
+      DomService.createElement("div", {
+        className: "yt-stream-field-help",
+        textContent: Localization.translateSettingHelp(field) ?? (field.isTemplate ? Localization.translate("settings.templateHelp") : ""),
+      }),
+      error,
+    ]);
+  }
+
+  createInput(field, value) {
+    switch (field.type) {
+      case SettingType.TEXTAREA:
+        return DomService.createElement("textarea", { value: value });
+      case SettingType.SELECT:
+        return this.createSelect(this.getOptions(field, field.options), value);
+      case SettingType.CHECKBOX:
+        return DomService.createElement("input", { type: "checkbox", checked: value === "true" });
+      default:
+        return DomService.createElement("input", { value: value });
+    }
+  }
+
+  createSelect(options, value) {
+    const select = DomService.createElement("select");
+    this.setSelectOptions(select, options, value);
+    return select;
+  }
+
+  /**
+   * @param {object} field
+   * @param {{value: string, label: string}[]} options
+   * @returns {{value: string, label: string}[]} the options with translated labels.
+   */
+  getOptions(field, options) {
+    return options.map((option) => ({ value: option.value, label: Localization.translateSettingOption(field, option) }));
+  }
+
+  /**
+   * Replaces the options of a select, and keeps the current value selectable.
+   * @param {HTMLSelectElement} select
+   * @param {{value: string, label: string}[]} options
+   * @param {string} value
+   */
+  setSelectOptions(select, options, value) {
+    const allOptions = options.some((option) => option.value === value)
+      ? options
+      : [...options, { value: value, label: value }];
+
+    select.replaceChildren(...allOptions.map((option) => DomService.createElement("option", {
+      value: option.value,
+      textContent: option.label,
+    })));
+    select.value = value;
+  }
+
+  createLoadOptionsButton(field, select, error) {
+    const button = DomService.createElement("button", {
+      type: "button",
+      className: "yt-stream-field-action",
+      textContent: Localization.translate("settings.loadOptions"),
+    });
+
+    button.addEventListener("click", async () => {
+      button.disabled = true;
+      error.textContent = "";
+      try {
+        const loadedOptions = await field.loadOptions(this.youtubeApiService);
+        this.setSelectOptions(select, this.getOptions(field, [...field.options, ...loadedOptions]), select.value);
+      } catch (e) {
+        console.error(e);
+        error.textContent = Localization.translate("settings.loadOptionsFailed", { error: e.message });
+      } finally {
+        button.disabled = false;
+      }
+    });
+
+    return button;
+  }
+
+  createPreview() {
+    this.previewElement = DomService.createElement("pre", {
+      className: "yt-stream-preview",
+      textContent: Localization.translate("settings.previewUnavailable"),
+    });
+
+    return DomService.createElement("div", { className: "yt-stream-field" }, [
+      DomService.createElement("label", { textContent: Localization.translate("settings.preview") }),
+      this.previewElement,
+    ]);
+  }
+
+  async loadPreviewContext() {
+    this.previewContext = undefined;
+    if (!this.domService.isPlanPage()) {
+      return;
+    }
+
+    this.previewElement.textContent = Localization.translate("settings.previewLoading");
+    try {
+      this.previewContext = await this.planContextService.create(this.domService.getPlanId());
+      this.updatePreview();
+    } catch (e) {
+      console.error(e);
+      this.previewElement.textContent = Localization.translate("settings.previewFailed", { error: e.message });
+    }
+  }
+
+  updatePreview() {
+    if (!this.previewContext) {
+      return;
+    }
+
+    const values = this.getValues();
+    try {
+      const title = TemplateRenderer.render(values[SettingsService.TITLE_TEMPLATE_KEY], this.previewContext, values);
+      const description = TemplateRenderer.render(values[SettingsService.DESCRIPTION_TEMPLATE_KEY], this.previewContext, values);
+      this.previewElement.textContent = `${title}\n\n${description}`;
+    } catch (e) {
+      this.previewElement.textContent = e.message;
+    }
+  }
+
+  getValues() {
+    const values = {};
+    for (const [key, input] of Object.entries(this.inputs)) {
+      values[key] = input.type === "checkbox" ? String(input.checked) : input.value;
+    }
+
+    return values;
+  }
+
+  onSaveClick(modal) {
+    const values = this.getValues();
+    const errors = this.settingsService.validate(values);
+
+    for (const [key, element] of Object.entries(this.errorElements)) {
+      element.textContent = errors[key] ?? "";
+    }
+
+    if (Object.keys(errors).length > 0) {
+      DebugLogging.debug("Settings are invalid:", errors);
+      return;
+    }
+
+    this.settingsService.saveAll(values);
+    Localization.setLanguage(this.settingsService.get(SettingsService.UI_LANGUAGE_KEY));
+    modal.close();
+    alert(Localization.translate("settings.saved"));
+  }
+
+  onResetClick(modal) {
+    if (!confirm(Localization.translate("settings.confirmReset"))) {
+      return;
+    }
+
+    this.settingsService.reset();
+    Localization.setLanguage(this.settingsService.get(SettingsService.UI_LANGUAGE_KEY));
+    modal.close();
+    alert(Localization.translate("settings.resetDone"));
+  }
+}
+
+/**
+ * Shows a form that allows the user to review and edit a stream before it is created.
+ */
+class StreamDialog {
+  static DATETIME_INPUT_PATTERN = "yyyy-MM-dd'T'HH:mm";
+
+  /**
+   * The stream that is edited in the dialog.
+   * @type {YouTubeStream}
+   */
+  stream;
+
+  /**
+   * The inputs of the form, by stream property name.
+   * @type {Object<string, HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement>}
+   */
+  inputs = {};
+
+  /**
+   * The elements that show the validation errors, by stream property name.
+   * @type {Object<string, HTMLDivElement>}
+   */
+  errorElements = {};
+
+  /**
+   * The text on the button that confirms the dialog.
+   * @type {string}
+   */
+  confirmLabel;
+
+  /**
+   * The channel resource of the channel the stream is created on.
+   * @type {object|undefined}
+   */
+  channel;
+
+  /**
+   * The time zone in which the start time is shown and edited, e.g. "Europe/Amsterdam".
+   * The time zone of the browser is used when it is undefined.
+   * @type {string|undefined}
+   */
+  timeZone;
+
+  /**
+   * @param {YouTubeStream} stream - The stream to edit.
+   * @param {string} confirmLabel - The text on the button that confirms the dialog.
+   * @param {object} [channel] - The channel resource of the channel the stream is created on.
+   * @param {string} [timeZone] - The time zone of the organization, so the start time shows the same clock time as PlanningCenter.
+   */
+  constructor(stream, confirmLabel = Localization.translate("streamDialog.create"), channel = undefined, timeZone = undefined) {
+    this.stream = stream;
+    this.confirmLabel = confirmLabel;
+    this.channel = channel;
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * Opens the dialog.
+   * @returns {Promise<boolean>} whether the user confirmed the creation of the stream.
+   */
+  open() {
+    return new Promise((resolve) => {
+      const modal = new Modal(Localization.translate("streamDialog.title"));
+
+      this.inputs.title = DomService.createElement("input", { value: this.stream.getTitle() });
+      this.inputs.description = DomService.createElement("textarea", { value: this.stream.getDescription() });
+      this.inputs.startTime = DomService.createElement("input", {
+        type: "datetime-local",
+        value: DateFormatter.formatPattern(this.stream.getStartTime(), StreamDialog.DATETIME_INPUT_PATTERN, "en", this.timeZone),
+      });
+      this.inputs.visibility = this.createSelect(StreamVisibility.ALL, this.stream.getVisibility());
+      this.inputs.playlistId = DomService.createElement("input", { value: this.stream.getPlaylistId() });
+
+      if (this.channel) {
+        modal.body.appendChild(DomService.createElement("div", { className: "yt-stream-field" }, [
+          DomService.createElement("label", { textContent: Localization.translate("stream.channel") }),
+          DomService.createChannelBadge(this.channel),
+        ]));
+      }
+
+      modal.body.append(
+        this.createField("title", Localization.translate("stream.title")),
+        this.createField("description", Localization.translate("stream.description")),
+        this.createField("startTime", this.timeZone
+          ? Localization.translate("stream.startTimeInZone", { timeZone: this.timeZone })
+          : Localization.translate("stream.startTime")),
+        this.createField("visibility", Localization.translate("stream.visibility")),
+        this.createField("playlistId", Localization.translate("stream.playlistId")),
+      );
+
+      modal.body.appendChild(this.createContentDetailsFields());
+
+      if (this.stream.getThumbnail()) {
+        modal.body.appendChild(this.createThumbnailField());
+      }
+
+      modal.addButton(Localization.translate("dialog.cancel"), () => {
+        modal.close();
+        resolve(false);
+      });
+      modal.addButton(this.confirmLabel, () => {
+        if (this.applyChanges()) {
+          modal.close();
+          resolve(true);
+        }
+      }, true);
+      modal.open();
+    });
+  }
+
+  createThumbnailField() {
+    this.inputs.thumbnail = DomService.createElement("input", {
+      id: "yt-stream-dialog-thumbnail",
+      type: "checkbox",
+      checked: true,
+    });
+
+    return DomService.createElement("div", { className: "yt-stream-field" }, [
+      DomService.createElement("label", { htmlFor: this.inputs.thumbnail.id, textContent: Localization.translate("streamDialog.uploadThumbnail") }),
+      this.inputs.thumbnail,
+      this.stream.getThumbnail(),
+    ]);
+  }
+
+  createContentDetailsFields() {
+    const contentDetails = this.stream.getContentDetails();
+    const fields = [];
+
+    for (const flag of YouTubeStream.CONTENT_DETAIL_FLAGS) {
+      this.inputs[flag] = DomService.createElement("input", { type: "checkbox", checked: contentDetails[flag] });
+      fields.push(this.createField(flag, this.getContentDetailLabel(flag)));
+    }
+
+    this.inputs.latencyPreference = this.createSelect(StreamLatency.ALL, contentDetails.latencyPreference);
+    fields.push(this.createField("latencyPreference", this.getContentDetailLabel("latencyPreference")));
+
+    this.inputs.madeForKids = DomService.createElement("input", { type: "checkbox", checked: this.stream.isMadeForKids() });
+    fields.push(this.createField("madeForKids", this.getContentDetailLabel("madeForKids")));
+
+    return DomService.createElement("details", {}, [
+      DomService.createElement("summary", { textContent: Localization.translate("streamDialog.broadcastOptions") }),
+      ...fields,
+    ]);
+  }
+
+  getContentDetailLabel(property) {
+    return Localization.translateSettingLabel(SettingsService.findField(SettingsService.CONTENT_DETAIL_SETTING_KEYS[property]));
+  }
+
+  createSelect(values, value) {
+    const select = DomService.createElement("select");
+    for (const option of values) {
+      select.appendChild(DomService.createElement("option", { value: option, textContent: option }));
+    }
+    select.value = value;
+
+    return select;
+  }
+
+  createField(property, label) {
+    const id = `yt-stream-dialog-${property}`;
+    const input = this.inputs[property];
+    input.id = id;
+
+    const error = DomService.createElement("div", { className: "yt-stream-field-error" });
+    this.errorElements[property] = error;
+
+    return DomService.createElement("div", { className: "yt-stream-field" }, [
+      DomService.createElement("label", { htmlFor: id, textContent: label }),
+      input,
+      error,
+    ]);
+  }
+
+  getEditedContentDetails() {
+    const contentDetails = {
+      latencyPreference: this.inputs.latencyPreference.value,
+    };
+    for (const flag of YouTubeStream.CONTENT_DETAIL_FLAGS) {
+      contentDetails[flag] = this.inputs[flag].checked;
+    }
+
+    return contentDetails;
+  }
+
+  /**
+   * @returns {Date} the edited start time, read as a time on the clock in the time zone of the dialog.
+   */
+  getEditedStartTime() {
+    const value = this.inputs.startTime.value;
+    if (!value || !this.timeZone) {
+      return new Date(value);
+    }
+
+    return DateFormatter.fromClockTime(new Date(`${value}Z`), this.timeZone);
+  }
+
+  /**
+   * Filters and validates the edited values, and applies them to the stream when they are valid.
+   * @returns {boolean} whether the edited values are valid.
+   */
+  applyChanges() {
+    const edited = YouTubeStreamFilter.filter(new YouTubeStream()
+      .setTitle(this.inputs.title.value)
+      .setDescription(this.inputs.description.value)
+      .setStartTime(this.getEditedStartTime())
+      .setVisibility(this.inputs.visibility.value)
+      .setPlaylistId(this.inputs.playlistId.value)
+      .setContentDetails(this.getEditedContentDetails())
+      .setMadeForKids(this.inputs.madeForKids.checked));
+
+    const errors = YouTubeStreamValidator.getErrors(edited);
+    for (const [property, element] of Object.entries(this.errorElements)) {
+      element.textContent = errors[property] ?? "";
+    }
+
+    if (Object.keys(errors).length > 0) {
+      DebugLogging.debug("Stream is invalid:", errors);
+      return false;
+    }
+
+    this.stream
+      .setTitle(edited.getTitle())
+      .setDescription(edited.getDescription())
+      .setStartTime(edited.getStartTime())
+      .setVisibility(edited.getVisibility())
+      .setPlaylistId(edited.getPlaylistId())
+      .setContentDetails(edited.getContentDetails())
+      .setMadeForKids(edited.isMadeForKids());
+
+    if (this.inputs.thumbnail && !this.inputs.thumbnail.checked) {
+      this.stream.setThumbnail(undefined);
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Shows the changes that will be made to a stream on YouTube, and asks the user to apply them.
+ */
+class StreamSyncDialog {
+  /**
+   * The liveBroadcast resource of the stream on YouTube.
+   * @type {object}
+   */
+  broadcast;
+
+  /**
+   * The changes that will be made to the stream.
+   * @type {{label: string, oldValue: string, newValue: string}[]}
+   */
+  changes;
+
+  /**
+   * The title of the dialog.
+   * @type {string}
+   */
+  heading;
+
+  /**
+   * @param {object} broadcast
+   * @param {{label: string, oldValue: string, newValue: string}[]} changes
+   * @param {string} [heading]
+   */
+  constructor(broadcast, changes, heading = Localization.translate("syncDialog.title", { title: broadcast.snippet.title })) {
+    this.broadcast = broadcast;
+    this.changes = changes;
+    this.heading = heading;
+  }
+
+  /**
+   * Opens the dialog.
+   * @returns {Promise<boolean>} whether the user wants to apply the changes.
+   */
+  open() {
+    return new Promise((resolve) => {
+      const modal = new Modal(this.heading);
+
+      for (const change of this.changes) {
+        modal.body.appendChild(DomService.createElement("div", { className: "yt-stream-field" }, [
+          DomService.createElement("label", { textContent: change.label }),
+          DomService.createElement("pre", { className: "yt-stream-preview", textContent: change.oldValue || Localization.translate("dialog.empty") }),
+          DomService.createElement("pre", { className: "yt-stream-preview", textContent: change.newValue || Localization.translate("dialog.empty") }),
+        ]));
+      }
+
+      modal.addButton(Localization.translate("dialog.cancel"), () => {
+        modal.close();
+        resolve(false);
+      });
+      modal.addButton(Localization.translate("syncDialog.apply"), () => {
+        modal.close();
+        resolve(true);
+      }, true);
+      modal.open();
+    });
+  }
+}
+
+/**
+ * Shows the upcoming plans of a service type, and lets the user create streams for several plans at once.
+ */
+class BulkStreamDialog {
+  /**
+   * The plans that are shown in the dialog.
+   * @type {{id: number, date: string, title: string, hasStream: boolean, streamCount: number, serviceCount: number, mayHaveStream: boolean}[]}
+   */
+  plans;
+
+  /**
+   * The modal that contains the dialog.
+   * @type {Modal}
+   */
+  modal;
+
+  /**
+   * The checkboxes of the plans, by plan id.
+   * @type {Object<number, HTMLInputElement>}
+   */
+  checkboxes = {};
+
+  /**
+   * The elements that show the progress of the plans, by plan id.
+   * @type {Object<number, HTMLElement>}
+   */
+  statusElements = {};
+
+  /**
+   * @param {{id: number, date: string, title: string, hasStream: boolean, streamCount: number, serviceCount: number, mayHaveStream: boolean}[]} plans
+   */
+  constructor(plans) {
+    this.plans = plans;
+  }
+
+  /**
+   * Opens the dialog, the dialog stays open to show the progress after the user made a selection.
+   * @returns {Promise<number[]>} the ids of the selected plans, or an empty array if the user cancelled.
+   */
+  open() {
+    return new Promise((resolve) => {
+      this.modal = new Modal(Localization.translate("bulkDialog.title"));
+
+      if (this.plans.length === 0) {
+        this.modal.body.appendChild(DomService.createElement("p", { textContent: Localization.translate("bulkDialog.noPlans") }));
+      }
+
+      for (const plan of this.plans) {
+        this.modal.body.appendChild(this.createRow(plan));
+      }
+
+      const cancelButton = this.modal.addButton(Localization.translate("dialog.cancel"), () => {
+        this.modal.close();
+        resolve([]);
+      });
+      const createButton = this.modal.addButton(Localization.translate("bulkDialog.create"), () => {
+        const planIds = this.getSelectedPlanIds();
+        if (planIds.length === 0) {
+          alert(Localization.translate("bulkDialog.selectPlan"));
+          return;
+        }
+
+        cancelButton.remove();
+        createButton.remove();
+        Object.values(this.checkboxes).forEach((checkbox) => checkbox.disabled = true);
+        resolve(planIds);
+      }, true);
+      this.modal.open();
+    });
+  }
+
+  createRow(plan) {
+    const id = `yt-stream-bulk-${plan.id}`;
+    // A plan that may have a stream is left to the user, it could also be the broadcast of another service type.
+    const checkbox = DomService.createElement("input", {
+      id: id,
+      type: "checkbox",
+      checked: !plan.hasStream && !plan.mayHaveStream,
+      disabled: plan.hasStream,
+    });
+    const status = DomService.createElement("span", {
+      className: "yt-stream-field-help",
+      textContent: this.getPlanStatus(plan),
+    });
+
+    this.checkboxes[plan.id] = checkbox;
+    this.statusElements[plan.id] = status;
+
+    return DomService.createElement("div", { className: "yt-stream-bulk-row" }, [
+      checkbox,
+      DomService.createElement("label", { htmlFor: id, textContent: [plan.date, plan.title].filter(Boolean).join(" - ") }),
+      status,
+    ]);
+  }
+
+  getPlanStatus(plan) {
+    if (plan.hasStream) {
+      return Localization.translate("bulkDialog.hasStream");
+    } else if (plan.streamCount > 0) {
+      return Localization.translate("bulkDialog.someStreams", { count: plan.streamCount, total: plan.serviceCount });
+    } else if (plan.mayHaveStream) {
+      return Localization.translate("bulkDialog.mayHaveStream");
+    }
+
+    return "";
+  }
+
+  getSelectedPlanIds() {
+    return this.plans
+      .filter((plan) => this.checkboxes[plan.id].checked)
+      .map((plan) => plan.id);
+  }
+
+  /**
+   * Shows the progress of a plan.
+   * @param {number} planId
+   * @param {string} status
+   */
+  setStatus(planId, status) {
+    this.statusElements[planId].textContent = status;
+  }
+
+  /**
+   * Shows a summary of the results, and allows the user to close the dialog.
+   * @param {string} summary
+   */
+  finish(summary) {
+    this.modal.body.appendChild(DomService.createElement("p", {}, [
+      DomService.createElement("strong", { textContent: summary }),
+    ]));
+    this.modal.addButton(Localization.translate("dialog.close"), () => this.modal.close(), true);
+  }
+}
+
+/**
+ * Shows the stream history, and lets the user filter and export it.
+ */
+class StreamHistoryDialog {
+  static EXPORT_FILE_NAME = "stream-history";
+
+  /**
+   * The records of the stream history, oldest first.
+   * @type {object[]}
+   */
+  records;
+
+  /**
+   * The inputs of the filter.
+   * @type {{query: HTMLInputElement, action: HTMLSelectElement, month: HTMLInputElement}}
+   */
+  inputs;
+
+  /**
+   * The element that contains the matching records.
+   * @type {HTMLDivElement}
+   */
+  list;
+
+  /**
+   * The element that shows how many records match the filter.
+   * @type {HTMLDivElement}
+   */
+  count;
+
+  /**
+   * @param {object[]} records
+   */
+  constructor(records) {
+    this.records = records;
+  }
+
+  /**
+   * Opens the dialog.
+   */
+  open() {
+    const modal = new Modal(Localization.translate("historyDialog.title"));
+
+    this.inputs = {
+      query: DomService.createElement("input", { type: "search", placeholder: Localization.translate("historyDialog.search") }),
+      action: DomService.createElement("select", {}, [
+        DomService.createElement("option", { value: "", textContent: Localization.translate("historyDialog.allActions") }),
+        ...StreamHistoryAction.ALL.map((action) => DomService.createElement("option", {
+          value: action,
+          textContent: Localization.translate(`history.action.${action}`),
+        })),
+      ]),
+      month: DomService.createElement("input", { type: "month", title: Localization.translate("historyDialog.month") }),
+    };
+    this.count = DomService.createElement("div", { className: "yt-stream-field-help" });
+    this.list = DomService.createElement("div");
+
+    modal.body.append(
+      DomService.createElement("div", { className: "yt-stream-bulk-row" }, Object.values(this.inputs)),
+      this.count,
+      this.list,
+    );
+    modal.body.addEventListener("input", () => this.render());
+    this.render();
+
+    modal.addButton(Localization.translate("historyDialog.exportCsv"), () => {
+      DomService.downloadFile(this.getFileName("csv"), StreamHistory.toCsv(this.getFilteredRecords()), "text/csv");
+    });
+    modal.addButton(Localization.translate("historyDialog.exportJson"), () => {
+      DomService.downloadFile(this.getFileName("json"), StreamHistory.toJson(this.getFilteredRecords()), "application/json");
+    });
+    modal.addButton(Localization.translate("dialog.close"), () => modal.close(), true);
+    modal.open();
+  }
+
+  /**
+   * @returns {object[]} the records that match the filter, newest first.
+   */
+  getFilteredRecords() {
+    return StreamHistory.filter(this.records, {
+      query: this.inputs.query.value,
+      action: this.inputs.action.value,
+      month: this.inputs.month.value,
+    });
+  }
+
+  getFileName(extension) {
+    const suffix = this.inputs.month.value || DateFormatter.formatPattern(new Date(), StreamManager.HISTORY_DATE_PATTERN, "en");
+    return `${StreamHistoryDialog.EXPORT_FILE_NAME}-${suffix}.${extension}`;
+  }
+
+  /**
+   * Shows the records that match the filter.
+   */
+  render() {
+    const records = this.getFilteredRecords();
+    this.count.textContent = Localization.translate("historyDialog.count", { count: records.length, total: this.records.length });
+
+    if (records.length === 0) {
+      this.list.replaceChildren(DomService.createElement("p", {
+        textContent: Localization.translate(this.records.length === 0 ? "historyDialog.empty" : "historyDialog.noMatches"),
+      }));
+      return;
+    }
+
+    this.list.replaceChildren(...records.map((record) => this.createRecord(record)));
+  }
+
+  createRecord(record) {
+    const planLabel = record.planDate
+      ? Localization.translate("historyDialog.planWithDate", { planId: record.planId, planDate: record.planDate })
+      : Localization.translate("historyDialog.plan", { planId: record.planId });
+    const links = [
+      DomService.createElement("a", { href: PlanningCenterLinks.getPlanUrl(record.planId), target: "_blank", textContent: planLabel }),
+    ];
+    if (record.videoId) {
+      links.push(DomService.createElement("a", {
+        href: YouTubeLinks.getStudioUrl(record.videoId),
+        target: "_blank",
+        textContent: Localization.translate("historyDialog.studio"),
+      }));
+    }
+
+    return DomService.createElement("div", { className: "yt-stream-field" }, [
+      DomService.createElement("label", {
+        textContent: `${Localization.formatDateTime(new Date(record.timestamp))} - ${Localization.translate(`history.action.${record.action}`)}`,
+      }),
+      DomService.createElement("span", { textContent: record.title || Localization.translate("dialog.empty") }),
+      DomService.createElement("div", { className: "yt-stream-bulk-row" }, links),
+      DomService.createElement("span", {
+        className: "yt-stream-field-help",
+        textContent: Localization.translate("historyDialog.details", {
+          playlistId: record.playlistId || Localization.translate("dialog.empty"),
+          account: record.account || Localization.translate("dialog.empty"),
+        }),
+      }),
+      ...(record.error ? [DomService.createElement("span", { className: "yt-stream-field-error", textContent: record.error })] : []),
+    ]);
+  }
+}
+
+/**
+ * Shows the problems found in the data of a plan, and asks the user whether to create the stream anyway.
+ */
+class PreflightDialog {
+  /**
+   * The problems found in the data of the plan.
+   * @type {{field: string, message: string, fallback: string|null, isBlocking: boolean}[]}
+   */
+  issues;
+
+  /**
+   * @param {{field: string, message: string, fallback: string|null, isBlocking: boolean}[]} issues
+   */
+  constructor(issues) {
+    this.issues = issues;
+  }
+
+  /**
+   * Opens the dialog.
+   * @returns {Promise<boolean>} whether the stream should be created.
+   */
+  open() {
+    return new Promise((resolve) => {
+      const isBlocking = StreamPreflight.isBlocking(this.issues);
+      const modal = new Modal(Localization.translate("preflightDialog.title"));
+      modal.body.appendChild(DomService.createElement("p", {
+        textContent: Localization.translate(isBlocking ? "preflightDialog.blocked" : "preflightDialog.warnings"),
+      }));
+
+      for (const issue of this.issues) {
+        modal.body.appendChild(DomService.createElement("div", { className: "yt-stream-field" }, [
+          DomService.createElement("label", { textContent: issue.field }),
+          DomService.createElement("span", { textContent: issue.message }),
+          issue.isBlocking
+            ? DomService.createElement("span", { className: "yt-stream-field-error", textContent: Localization.translate("preflightDialog.required") })
+            : DomService.createElement("span", { className: "yt-stream-field-help", textContent: issue.fallback }),
+        ]));
+      }
+
+      if (isBlocking) {
+        modal.addButton(Localization.translate("dialog.close"), () => {
+          modal.close();
+          resolve(false);
+        }, true);
+      } else {
+        modal.addButton(Localization.translate("dialog.cancel"), () => {
+          modal.close();
+          resolve(false);
+        });
+        modal.addButton(Localization.translate("preflightDialog.continue"), () => {
+          modal.close();
+          resolve(true);
+        }, true);
+      }
+      modal.open();
+    });
+  }
+}
+
+/**
+ * Asks the user which service times of a plan get a stream.
+ */
+class ServiceTimeDialog {
+  /**
+   * The service times that can be chosen.
+   * @type {{id: string, label: string}[]}
+   */
+  serviceTimes;
+
+  /**
+   * The checkboxes of the service times, by service time id.
+   * @type {Object<string, HTMLInputElement>}
+   */
+  checkboxes = {};
+
+  /**
+   * @param {{id: string, label: string}[]} serviceTimes
+   */
+  constructor(serviceTimes) {
+    this.serviceTimes = serviceTimes;
+  }
+
+  /**
+   * Opens the dialog.
+   * @returns {Promise<string[]>} the ids of the selected service times, or an empty array if the user cancelled.
+   */
+  open() {
+    return new Promise((resolve) => {
+      const modal = new Modal(Localization.translate("serviceTimeDialog.title"));
+      modal.body.appendChild(DomService.createElement("p", { textContent: Localization.translate("serviceTimeDialog.question") }));
+
+      for (const serviceTime of this.serviceTimes) {
+        const id = `yt-stream-service-time-${serviceTime.id}`;
+        this.checkboxes[serviceTime.id] = DomService.createElement("input", { id: id, type: "checkbox", checked: true });
+        modal.body.appendChild(DomService.createElement("div", { className: "yt-stream-bulk-row" }, [
+          this.checkboxes[serviceTime.id],
+          DomService.createElement("label", { htmlFor: id, textContent: serviceTime.label }),
+        ]));
+      }
+
+      modal.addButton(Localization.translate("dialog.cancel"), () => {
+        modal.close();
+        resolve([]);
+      });
+      modal.addButton(Localization.translate("serviceTimeDialog.continue"), () => {
+        const ids = this.serviceTimes
+          .filter((serviceTime) => this.checkboxes[serviceTime.id].checked)
+          .map((serviceTime) => serviceTime.id);
+        if (ids.length === 0) {
+          alert(Localization.translate("serviceTimeDialog.selectServiceTime"));
+          return;
+        }
+
+        modal.close();
+        resolve(ids);
+      }, true);
+      modal.open();
+    });
+  }
+}
+
+/**
+ * Represents the actions a user can take when a stream already exists for a plan.
+ */
+class ExistingStreamAction {
+  static OPEN = "open";
+  static UPDATE = "update";
+  static REPLACE = "replace";
+  static CREATE = "create";
+  static CANCEL = "cancel";
+}
+
+/**
+ * Shows an existing stream of a plan, and asks the user what to do with it.
+ */
+class ExistingStreamDialog {
+  /**
+   * The liveBroadcast resource of the existing stream.
+   * @type {object}
+   */
+  broadcast;
+
+  /**
+   * @param {object} broadcast - The liveBroadcast resource of the existing stream.
+   */
+  constructor(broadcast) {
+    this.broadcast = broadcast;
+  }
+
+  /**
+   * Opens the dialog.
+   * @returns {Promise<string>} the chosen {@link ExistingStreamAction}.
+   */
+  open() {
+    return new Promise((resolve) => {
+      const modal = new Modal(Localization.translate("existingDialog.title"));
+      const startTime = new Date(this.broadcast.snippet.scheduledStartTime);
+
+      modal.body.append(
+        DomService.createElement("p", {
+          textContent: Localization.translate("existingDialog.question"),
+        }),
+        DomService.createElement("p", {}, [
+          DomService.createElement("strong", { textContent: this.broadcast.snippet.title }),
+        ]),
+        DomService.createElement("p", {
+          textContent: Localization.translate("existingDialog.scheduled", {
+            startTime: Localization.formatDateTime(startTime),
+            visibility: this.broadcast.status.privacyStatus,
+          }),
+        }),
+      );
+
+      const choose = (action) => {
+        modal.close();
+        resolve(action);
+      };
+
+      modal.addButton(Localization.translate("dialog.cancel"), () => choose(ExistingStreamAction.CANCEL));
+      modal.addButton(Localization.translate("existingDialog.createAnother"), () => choose(ExistingStreamAction.CREATE));
+      modal.addButton(Localization.translate("existingDialog.replace"), () => choose(ExistingStreamAction.REPLACE));
+      modal.addButton(Localization.translate("existingDialog.update"), () => choose(ExistingStreamAction.UPDATE));
+      modal.addButton(Localization.translate("existingDialog.open"), () => choose(ExistingStreamAction.OPEN), true);
+      modal.open();
+    });
+  }
+}
+
+/**
+ * Handles everything related to the DOM.
+ */
+class DomService {
+  static ORIGINAL_BUTTON_SELECTOR = `button[aria-label="Share"]`;
+  static STREAM_BUTTON_ID = "yt-stream-button";
+  static SETTINGS_BUTTON_ID = "yt-stream-settings-button";
+  static SYNC_BUTTON_ID = "yt-stream-sync-button";
+  static BULK_BUTTON_ID = "yt-stream-bulk-button";
+  static FINALIZE_BUTTON_ID = "yt-stream-finalize-button";
+  static REVOKE_DOWNLOAD_URL_DELAY_MS = 1000;
+  static CHANNEL_BADGE_ID = "yt-stream-channel";
+  static SERVICE_TYPE_ID_REGEX = /^\/service_types\/(\d+)/;
+  static PLAN_ID_REGEX = /^\/plans\/(\d+)/;
+
+  /**
+   * The ids of the elements that are added to plan pages.
+   */
+  static PLAN_ELEMENT_IDS = [
+    DomService.STREAM_BUTTON_ID,
+    DomService.SETTINGS_BUTTON_ID,
+    DomService.SYNC_BUTTON_ID,
+    DomService.FINALIZE_BUTTON_ID,
+    DomService.CHANNEL_BADGE_ID,
+  ];
+
+  constructor() { }
+
+  /**
+   * Creates an element with the given properties and children.
+   * @param {string} tagName - The tag name of the element.
+   * @param {object} properties - The properties to assign to the element.
+   * @param {Node[]} children - The child nodes of the element.
+   * @returns {HTMLElement}
+   */
+  static createElement(tagName, properties = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.assign(element, properties);
+    element.append(...children);
+
+    return element;
+  }
+
+  /**
+   * Creates a button that allows the user to create a stream.
+   * @returns {Promise<HTMLButtonElement>}
+   */
+  async createStreamButton() {
+    DebugLogging.debug("Looking for original button to clone...");
+
+    const originalButton = await this.queryElement(DomService.ORIGINAL_BUTTON_SELECTOR);
+
+    if (this.streamButtonExists()) {
+      DebugLogging.debug("Stream button already exists!");
+      return;
+    }
+
+    DebugLogging.debug("Creating stream button.");
+
+    const youtubeButton = originalButton.cloneNode(true);
+    youtubeButton.id = DomService.STREAM_BUTTON_ID;
+    const label = Localization.translate("button.newStream");
+    youtubeButton.innerText = label;
+    youtubeButton.setAttribute("aria-label", label);
+
+    originalButton.parentNode.prepend(youtubeButton);
+
+    return youtubeButton;
+  }
+
+  /**
+   * Creates an element that shows the name and avatar of a YouTube channel.
+   * @param {object} channel - The channel resource.
+   * @returns {HTMLSpanElement}
+   */
+  static createChannelBadge(channel) {
+    return DomService.createElement("span", {
+      className: "yt-stream-channel",
+      title: Localization.translate("channel.tooltip", { name: channel.snippet.title }),
+    }, [
+      DomService.createElement("img", { src: channel.snippet.thumbnails?.default?.url ?? "", alt: "" }),
+      DomService.createElement("span", { textContent: channel.snippet.title }),
+    ]);
+  }
+
+  /**
+   * Shows the channel that streams are created on next to the stream button.
+   * @param {HTMLButtonElement|undefined} streamButton
+   * @param {object} channel - The channel resource.
+   */
+  showChannel(streamButton, channel) {
+    if (!streamButton) {
+      return;
+    }
+
+    Modal.injectStyle();
+    document.getElementById(DomService.CHANNEL_BADGE_ID)?.remove();
+
+    const badge = DomService.createChannelBadge(channel);
+    badge.id = DomService.CHANNEL_BADGE_ID;
+    streamButton.after(badge);
+  }
+
+  /**
+   * Changes the text of the stream button.
+   * @param {HTMLButtonElement} button
+   * @param {string} label
+   */
+  setStreamButtonLabel(button, label) {
+    button.innerText = label;
+    button.setAttribute("aria-label", label);
+  }
+
+  /**
+   * Creates a button that allows the user to open the settings panel.
+   * @returns {Promise<HTMLButtonElement>}
+   */
+  createSettingsButton() {
+    return this.createExtraButton(DomService.SETTINGS_BUTTON_ID, Localization.translate("button.settings"));
+  }
+
+  /**
+   * Creates a button that allows the user to sync the streams of a plan with the plan.
+   * @returns {Promise<HTMLButtonElement>}
+   */
+  createSyncButton() {
+    return this.createExtraButton(DomService.SYNC_BUTTON_ID, Localization.translate("button.sync"));
+  }
+
+  /**
+   * Creates a button that allows the user to update the chapters of the recordings of a plan.
+   * @returns {Promise<HTMLButtonElement>}
+   */
+  createFinalizeButton() {
+    return this.createExtraButton(DomService.FINALIZE_BUTTON_ID, Localization.translate("button.finalize"));
+  }
+
+  /**
+   * Creates a copy of the original button with a different id and text.
+   * @param {string} id
+   * @param {string} label
+   * @returns {Promise<HTMLButtonElement>}
+   */
+  async createExtraButton(id, label) {
+    const originalButton = await this.queryElement(DomService.ORIGINAL_BUTTON_SELECTOR);
+
+    if (document.getElementById(id)) {
+      DebugLogging.debug(`Button ${id} already exists!`);
+      return;
+    }
+
+    DebugLogging.debug(`Creating button ${id}.`);
+
+    const button = originalButton.cloneNode(true);
+    button.id = id;
+    button.innerText = label;
+    button.setAttribute("aria-label", label);
+
+    originalButton.parentNode.prepend(button);
+
+    return button;
+  }
+
+  /**
+   * Checks whether the current page is a service plan page.
+   * @returns {boolean}
+   */
+  isPlanPage() {
+    return DomService.PLAN_ID_REGEX.test(window.location.pathname);
+  }
+
+  /**
+   * Checks whether the current page is a service type page.
+   * @returns {boolean}
+   */
+  isServiceTypePage() {
+    return DomService.SERVICE_TYPE_ID_REGEX.test(window.location.pathname);
+  }
+
+  /**
+   * Gets the ID of the service type from the URL.
+   * @returns {number}
+   */
+  getServiceTypeId() {
+    const [, rawId] = window.location.pathname.match(DomService.SERVICE_TYPE_ID_REGEX);
+    return Number(rawId);
+  }
+
+  /**
+   * Checks whether the bulk stream button already exists on the page
+   * @returns {boolean}
+   */
+  bulkButtonExists() {
+    return document.getElementById(DomService.BULK_BUTTON_ID) !== null;
+  }
+
+  /**
+   * Creates a button that allows the user to create streams for several plans at once.
+   * The service type pages have no button to copy, so this button floats in the corner of the page.
+   * @returns {HTMLButtonElement}
+   */
+  createBulkButton() {
+    Modal.injectStyle();
+
+    const button = DomService.createElement("button", {
+      id: DomService.BULK_BUTTON_ID,
+      type: "button",
+      className: "yt-stream-floating-button",
+      textContent: Localization.translate("button.bulk"),
+    });
+    document.body.appendChild(button);
+
+    return button;
+  }
+
+  /**
+   * Shows the upcoming plans of a service type, and lets the user select the plans to create streams for.
+   * @param {{id: number, date: string, title: string, hasStream: boolean}[]} plans
+   * @returns {BulkStreamDialog} the dialog, which is used to show the progress.
+   */
+  createBulkStreamDialog(plans) {
+    return new BulkStreamDialog(plans);
+  }
+
+  /**
+   * Shows the stream history.
+   * @param {object[]} records - The records of the stream history, oldest first.
+   */
+  showStreamHistory(records) {
+    new StreamHistoryDialog(records).open();
+  }
+
+  /**
+   * Lets the browser download a file.
+   * @param {string} fileName
+   * @param {string} content
+   * @param {string} type - The MIME type of the file.
+   */
+  static downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = DomService.createElement("a", { href: url, download: fileName });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Firefox cancels the download when the URL is revoked before the download started.
+    setTimeout(() => URL.revokeObjectURL(url), DomService.REVOKE_DOWNLOAD_URL_DELAY_MS);
+  }
+
+  /**
+   * Shows the problems found in the data of a plan.
+   * @param {{field: string, message: string, fallback: string|null, isBlocking: boolean}[]} issues
+   * @returns {Promise<boolean>} whether the stream should be created.
+   */
+  confirmPreflight(issues) {
+    return new PreflightDialog(issues).open();
+  }
+
+  /**
+   * Asks the user which service times of a plan get a stream.
+   * @param {{id: string, label: string}[]} serviceTimes
+   * @returns {Promise<string[]>} the ids of the selected service times, or an empty array if the user cancelled.
+   */
+  chooseServiceTimes(serviceTimes) {
+    return new ServiceTimeDialog(serviceTimes).open();
+  }
+
+  /**
+   * Checks whether the stream button already exists on the page
+   * @returns {boolean}
+   */
+  streamButtonExists() {
+    return document.querySelector(`#${DomService.STREAM_BUTTON_ID}`) !== null;
+  }
+
+  /**
+   * Gets the ID of the plan from the URL.
+   * @returns {number}
+   */
+  getPlanId() {
+    const [, rawId] = window.location.pathname.match(DomService.PLAN_ID_REGEX) ?? [];
+    return Number(rawId);
+  }
+
+  /**
+   * Removes the buttons that were added to a plan page, e.g. after navigating away from the plan.
+   */
+  removePlanElements() {
+    for (const id of DomService.PLAN_ELEMENT_IDS) {
+      document.getElementById(id)?.remove();
+    }
+  }
+
+  /**
+   * Removes the bulk stream button, e.g. after navigating away from the service type page.
+   */
+  removeBulkButton() {
+    document.getElementById(DomService.BULK_BUTTON_ID)?.remove();
+  }
+
+  /**
+   * Shows the stream that will be created, and allows the user to edit and confirm the stream creation.
+   * @param {YouTubeStream} stream - The stream to edit, the changes are applied to this stream.
+   * @param {string} confirmLabel - The text on the button that confirms the dialog.
+   * @param {object} [channel] - The channel resource of the channel the stream is created on.
+   * @param {string} [timeZone] - The time zone in which the start time is shown and edited.
+   * @returns {Promise<boolean>} whether the user confirmed the stream creation.
+   */
+  confirmStreamCreation(stream, confirmLabel, channel = undefined, timeZone = undefined) {
+    return new StreamDialog(stream, confirmLabel, channel, timeZone).open();
+  }
+
+  /**
+   * Asks the user what to do with a stream that already exists for a plan.
+   * @param {object} broadcast - The liveBroadcast resource of the existing stream.
+   * @returns {Promise<string>} the chosen {@link ExistingStreamAction}.
+   */
+  chooseExistingStreamAction(broadcast) {
+    return new ExistingStreamDialog(broadcast).open();
+  }
+
+  /**
+   * Shows the changes that will be made to a stream, and asks the user to apply them.
+   * @param {object} broadcast - The liveBroadcast resource of the stream.
+   * @param {{label: string, oldValue: string, newValue: string}[]} changes
+   * @param {string} [heading] - The title of the dialog.
+   * @returns {Promise<boolean>} whether the user wants to apply the changes.
+   */
+  confirmStreamSync(broadcast, changes, heading = undefined) {
+    return new StreamSyncDialog(broadcast, changes, heading).open();
+  }
+
+  queryElement(selector) {
+    return new Promise((resolve) => {
+      const element = document.querySelector(selector);
+      if (element) {
+        resolve(element);
+        return;
+      }
+
+      const observer = new MutationObserver(() => {
+        const newElement = document.querySelector(selector);
+        if (newElement) {
+          observer.disconnect();
+          resolve(newElement);
+        }
+      });
+
+      observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+      });
+    });
+  }
+}
+
+class DateFormatter {
+  static YEAR_FORMAT = "numeric";
+  static MONTH_FORMAT = "2-digit";
+  static DAY_FORMAT = "2-digit";
+
+  /**
+   * Formats a date as a numeric date in the given locale.
+   * @param {Date} date
+   * @param {string} locale - e.g. "nl-NL"
+   * @param {string} [timeZone] - e.g. "Europe/Amsterdam", the time zone of the browser is used when it is not given.
+   * @returns {string}
+   */
+  static format(date, locale, timeZone = undefined) {
+    const options = {
+      year: DateFormatter.YEAR_FORMAT,
+      month: DateFormatter.MONTH_FORMAT,
+      day: DateFormatter.DAY_FORMAT,
+      timeZone: timeZone,
+    };
+
+    return date.toLocaleString(locale, options);
+  }
+
+  /**
+   * Formats a date using a custom pattern, e.g. "EEEE d MMMM yyyy" or "dd-MM-yyyy HH:mm".
+   * Text between single quotes is copied as is.
+   * @param {Date} date
+   * @param {string} pattern
+   * @param {string} locale - used for the names of months and weekdays, e.g. "nl-NL"
+   * @param {string} [timeZone] - e.g. "Europe/Amsterdam", the time zone of the browser is used when it is not given.
+   * @returns {string}
+   */
+  static formatPattern(date, pattern, locale, timeZone = undefined) {
+    const parts = DateFormatter.getParts(date, timeZone);
+
+    return pattern.replace(DateFormatter.PATTERN_TOKEN_REGEX, (token) => {
+      if (token.startsWith("'")) {
+        return token.slice(1, -1);
+      }
+
+      return DateFormatter.formatToken(date, parts, token, locale, timeZone);
+    });
+  }
+
+  static PATTERN_TOKEN_REGEX = /'[^']*'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|mm/g;
+
+  static formatToken(date, parts, token, locale, timeZone) {
+    switch (token) {
+      case "yyyy":
+        return String(parts.year);
+      case "yy":
+        return String(parts.year).slice(-2);
+      case "MMMM":
+        return date.toLocaleString(locale, { month: "long", timeZone: timeZone });
+      case "MMM":
+        return date.toLocaleString(locale, { month: "short", timeZone: timeZone });
+      case "MM":
+        return DateFormatter.pad(parts.month);
+      case "M":
+        return String(parts.month);
+      case "dd":
+        return DateFormatter.pad(parts.day);
+      case "d":
+        return String(parts.day);
+      case "EEEE":
+        return date.toLocaleString(locale, { weekday: "long", timeZone: timeZone });
+      case "EEE":
+        return date.toLocaleString(locale, { weekday: "short", timeZone: timeZone });
+      case "HH":
+        return DateFormatter.pad(parts.hour);
+      case "H":
+        return String(parts.hour);
+      case "mm":
+        return DateFormatter.pad(parts.minute);
+      default:
+        return token;
+    }
+  }
+
+  /**
+   * Gets the date and time on the clock in a time zone.
+   * @param {Date} date
+   * @param {string} [timeZone] - the time zone of the browser is used when it is not given.
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+   */
+  static getParts(date, timeZone = undefined) {
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+
+    const parts = {};
+    for (const part of formatter.formatToParts(date)) {
+      if (part.type !== "literal") {
+        parts[part.type] = Number(part.value);
+      }
+    }
+
+    return parts;
+  }
+
+  /**
+   * Converts a time on the clock in a time zone to a date, taking daylight saving time into account.
+   * @param {Date} clockTime - A date whose UTC fields are the time on the clock, e.g. the sort_date of a plan.
+   * @param {string} timeZone - e.g. "Europe/Amsterdam"
+   * @returns {Date}
+   */
+  static fromClockTime(clockTime, timeZone) {
+    let time = clockTime.getTime();
+
+    // The offset of the time zone depends on the date itself, so the guess is corrected until it shows the right clock time.
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const parts = DateFormatter.getParts(new Date(time), timeZone);
+      const shownTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      time += clockTime.getTime() - shownTime;
+    }
+
+    return new Date(time);
+  }
+
+  /**
+   * @param {string} timeZone
+   * @returns {boolean} whether the browser knows the time zone, e.g. "Europe/Amsterdam".
+   */
+  static isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  static pad(value) {
+    return String(value).padStart(2, "0");
+  }
+}
+
+/**
+ * Contains the data of a plan that is used to generate a stream.
+ */
+class PlanContext {
+  /**
+   * The ID of the plan.
+   * @type {number}
+   */
+  planId;
+
+  /**
+   * The attributes of the plan, e.g. title, series_title and sort_date.
+   * @type {object}
+   */
+  plan;
+
+  /**
+   * The notes of the plan.
+   * @type {object[]}
+   */
+  notes;
+
+  /**
+   * The name of the service type the plan belongs to.
+   * @type {string}
+   */
+  serviceTypeName;
+
+  /**
+   * The songs in the plan, in plan order, with the arrangement used in the plan.
+   * @type {{song: object, arrangement: object|null}[]}
+   */
+  songs;
+
+  /**
+   * The time at which the first service of the plan starts.
+   * @type {Date}
+   */
+  startTime;
+
+  /**
+   * The time zone of the organization, e.g. "Europe/Amsterdam".
+   * @type {string}
+   */
+  timeZone;
+
+  /**
+   * The service times of the plan, ordered by start time.
+   * @type {object[]}
+   */
+  serviceTimes;
+
+  /**
+   * The items of the plan, in plan order.
+   * @type {object[]}
+   */
+  items;
+
+  /**
+   * The notes of the items of the plan.
+   * @type {object[]}
+   */
+  itemNotes;
+
+  /**
+   * The people that are scheduled in the plan.
+   * @type {object[]}
+   */
+  teamMembers;
+
+  /**
+   * @param {number} planId
+   * @param {object} plan
+   * @param {object[]} notes
+   * @param {string} serviceTypeName
+   * @param {{song: object, arrangement: object|null}[]} songs
+   * @param {Date} startTime
+   * @param {object[]} items
+   * @param {object[]} itemNotes
+   * @param {object[]} teamMembers
+   * @param {string} timeZone
+   * @param {object[]} serviceTimes
+   */
+  constructor(planId, plan, notes, serviceTypeName, songs, startTime, items, itemNotes, teamMembers, timeZone, serviceTimes) {
+    this.planId = planId;
+    this.plan = plan;
+    this.notes = notes;
+    this.serviceTypeName = serviceTypeName;
+    this.songs = songs;
+    this.startTime = startTime;
+    this.items = items;
+    this.itemNotes = itemNotes;
+    this.teamMembers = teamMembers;
+    this.timeZone = timeZone;
+    this.serviceTimes = serviceTimes;
+  }
+
+  /**
+   * @param {Date} startTime
+   * @returns {PlanContext} a copy of the data of the plan with another start time.
+   */
+  withStartTime(startTime) {
+    return new PlanContext(this.planId, this.plan, this.notes, this.serviceTypeName, this.songs, startTime, this.items, this.itemNotes, this.teamMembers, this.timeZone, this.serviceTimes);
+  }
+
+  /**
+   * Gets the content of the first note in the given category.
+   * @param {string} category - The name of the note category, e.g. "Spreker".
+   * @returns {string} the content of the note, or an empty string if the plan has no such note.
+   */
+  getNote(category) {
+    const note = this.notes.find((note) => note.attributes.category_name === category);
+    return note?.attributes.content ?? "";
+  }
+}
+
+/**
+ * Collects the data of a plan from PlanningCenter.
+ */
+class PlanContextService {
+  static SERVICE_TIME_TYPE = "service";
+
+  /**
+   * The time zone of the organization, once it has been fetched.
+   * @type {string|undefined}
+   */
+  timeZone;
+
+  /**
+   * The PlanningCenter service used to interact with the PlanningCenter API.
+   * @type {PlanningCenterService}
+   */
+  planningCenterService;
+
+  /**
+   * @param {PlanningCenterService} planningCenterService
+   */
+  constructor(planningCenterService) {
+    this.planningCenterService = planningCenterService;
+  }
+
+  /**
+   * Fetches all data of a plan that is used to generate a stream.
+   * @param {number} planId - The ID of the plan.
+   * @returns {Promise<PlanContext>}
+   */
+  async create(planId) {
+    const planData = await this.planningCenterService.fetchPlan(planId);
+    DebugLogging.debug("Plan data:", planData);
+
+    const notes = await this.planningCenterService.fetchNotes(planId);
+    DebugLogging.debug("Notes:", notes);
+
+    const serviceTypeName = await this.getServiceTypeName(planData);
+    DebugLogging.debug("Service type:", serviceTypeName);
+
+    const { items, itemNotes } = await this.planningCenterService.fetchItemNotes(planId);
+    DebugLogging.debug("Items:", items, itemNotes);
+
+    const songs = await this.planningCenterService.fetchSongs(planId, items);
+    DebugLogging.debug("Songs:", songs);
+
+    const teamMembers = await this.planningCenterService.fetchTeamMembers(planId);
+    DebugLogging.debug("Team members:", teamMembers);
+
+    const timeZone = await this.getTimeZone();
+    DebugLogging.debug("Time zone:", timeZone);
+
+    const serviceTimes = await this.getServiceTimes(planId);
+    DebugLogging.debug("Service times:", serviceTimes);
+
+    const startTime = this.getStartTime(planData, serviceTimes, timeZone);
+
+    return new PlanContext(planId, planData.data.attributes, notes.data, serviceTypeName, songs, startTime, items, itemNotes, teamMembers, timeZone, serviceTimes);
+  }
+
+  async getServiceTypeName(planData) {
+    const serviceTypeId = planData.data.relationships?.service_type?.data?.id;
+    if (!serviceTypeId) {
+      return "";
+    }
+
+    const serviceType = await this.planningCenterService.fetchServiceType(serviceTypeId);
+    return serviceType.data.attributes.name;
+  }
+
+  /**
+   * Gets the time zone of the organization, which PlanningCenter uses to show the times of plans.
+   * @returns {Promise<string>} e.g. "Europe/Amsterdam", or the time zone of the browser if the organization has no known time zone.
+   */
+  async getTimeZone() {
+    if (!this.timeZone) {
+      const organization = await this.planningCenterService.fetchOrganization();
+      const attributes = organization.data.attributes;
+      const timeZone = [attributes.olson_time_zone, attributes.time_zone].find((timeZone) => timeZone && DateFormatter.isValidTimeZone(timeZone));
+      if (!timeZone) {
+        console.warn(`Unknown time zone of the organization: ${attributes.time_zone}, using the time zone of the browser.`);
+      }
+
+      this.timeZone = timeZone ?? Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    return this.timeZone;
+  }
+
+  /**
+   * Gets the service times of a plan, without rehearsals and other times.
+   * @param {number} planId
+   * @returns {Promise<object[]>} the service times, ordered by start time.
+   */
+  async getServiceTimes(planId) {
+    const planTimes = await this.planningCenterService.fetchPlanTimes(planId);
+    return planTimes
+      .filter((planTime) => planTime.attributes.time_type === PlanContextService.SERVICE_TIME_TYPE)
+      .sort((a, b) => new Date(a.attributes.starts_at) - new Date(b.attributes.starts_at));
+  }
+
+  /**
+   * Gets the time at which the first service of a plan starts.
+   * @param {object} planData
+   * @param {object[]} serviceTimes
+   * @param {string} timeZone
+   * @returns {Date}
+   */
+  getStartTime(planData, serviceTimes, timeZone) {
+    if (serviceTimes.length > 0) {
+      return new Date(serviceTimes[0].attributes.starts_at);
+    }
+
+    // The sort_date shows the time on the clock of the organization as if it were UTC.
+    DebugLogging.debug("The plan has no service times, using its sort date:", planData.data.attributes.sort_date);
+    return DateFormatter.fromClockTime(new Date(planData.data.attributes.sort_date), timeZone);
+  }
+}
+
+/**
+ * Renders the templates used for stream titles and descriptions.
+ *
+ * Placeholders are written as `{name}` or `{name:argument}`, e.g. `{note:Spreker}` or `{date:EEEE d MMMM}`.
+ * Text between `[[` and `]]` is an optional section, which is left out when one of its placeholders is empty.
+ */
+class TemplateRenderer {
+  static PLACEHOLDER_REGEX = /\{([a-zA-Z_]+)(?::([^{}]*))?\}/g;
+  static OPTIONAL_SECTION_REGEX = /\[\[([\s\S]*?)\]\]/g;
+
+  /**
+   * The names of the supported placeholders, names are case-insensitive.
+   */
+  static PLACEHOLDERS = [
+    "note",
+    "plan",
+    "service_type",
+    "date",
+    "preacher",
+    "theme",
+    "songs",
+    "chapters",
+    "section",
+    "team",
+  ];
+
+  /**
+   * Renders a template using the data of a plan.
+   * @param {string} template - The template to render.
+   * @param {PlanContext} context - The data of the plan.
+   * @param {Object<string, string>} settings - The settings used to render the template.
+   * @returns {string}
+   */
+  static render(template, context, settings) {
+    const withSections = template.replace(TemplateRenderer.OPTIONAL_SECTION_REGEX, (_, section) => {
+      let isComplete = true;
+      const rendered = TemplateRenderer.renderPlaceholders(section, context, settings, (value) => {
+        if (value === "") {
+          isComplete = false;
+        }
+      });
+
+      return isComplete ? rendered : "";
+    });
+
+    return TemplateRenderer.renderPlaceholders(withSections, context, settings).trim();
+  }
+
+  /**
+   * Validates whether a template only uses supported placeholders, and only refers to configured description sections.
+   * @param {string} template
+   * @param {string} [sectionsJson] - The configured description sections, the sections are not checked when they are not given or not valid.
+   */
+  static validate(template, sectionsJson = undefined) {
+    const withoutSections = template.replace(TemplateRenderer.OPTIONAL_SECTION_REGEX, "");
+    if (withoutSections.includes("[[") || withoutSections.includes("]]")) {
+      throw new Error(Localization.translate("validation.unclosedSection"));
+    }
+
+    for (const [placeholder, name] of template.matchAll(TemplateRenderer.PLACEHOLDER_REGEX)) {
+      if (!TemplateRenderer.PLACEHOLDERS.includes(name.toLowerCase())) {
+        throw new Error(Localization.translate("validation.unknownPlaceholder", { placeholder }));
+      }
+    }
+
+    const sections = TemplateRenderer.parseSections(sectionsJson);
+    for (const { name, argument } of TemplateRenderer.getPlaceholders(template)) {
+      if (name === "section" && sections) {
+        DescriptionSections.find(sections, argument);
+      }
+    }
+  }
+
+  /**
+   * @param {string|undefined} sectionsJson
+   * @returns {object[]|undefined} the description sections, or undefined when they are not given or not valid,
+   * an invalid value is reported by the description sections setting itself.
+   */
+  static parseSections(sectionsJson) {
+    if (sectionsJson === undefined) {
+      return undefined;
+    }
+
+    try {
+      return DescriptionSections.parse(sectionsJson);
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Gets the placeholders that a template uses.
+   * @param {string} template
+   * @returns {{name: string, argument: string|undefined}[]} the placeholders, with lower case names.
+   */
+  static getPlaceholders(template) {
+    return [...template.matchAll(TemplateRenderer.PLACEHOLDER_REGEX)].map(([, name, argument]) => ({ name: name.toLowerCase(), argument }));
+  }
+
+  static renderPlaceholders(text, context, settings, onValue = () => { }) {
+    return text.replace(TemplateRenderer.PLACEHOLDER_REGEX, (placeholder, name, argument) => {
+      const value = TemplateRenderer.resolve(name.toLowerCase(), argument, context, settings);
+      if (value === undefined) {
+        throw new Error(Localization.translate("validation.unknownPlaceholder", { placeholder }));
+      }
+
+      const text = String(value ?? "").trim();
+      onValue(text);
+      return text;
+    });
+  }
+
+  /**
+   * @param {string} name
+   * @param {string|undefined} argument
+   * @param {PlanContext} context
+   * @param {Object<string, string>} settings
+   * @returns {string|null|undefined} the value of the placeholder, or undefined if it is unknown.
+   */
+  static resolve(name, argument, context, settings) {
+    const locale = settings[SettingsService.DATE_LOCALE_KEY];
+
+    switch (name) {
+      case "note":
+        return context.getNote(argument);
+      case "plan":
+        return context.plan[argument] ?? null;
+      case "service_type":
+        return context.serviceTypeName;
+      case "date": {
+        const pattern = argument || settings[SettingsService.DATE_PATTERN_KEY];
+        return pattern
+          ? DateFormatter.formatPattern(context.startTime, pattern, locale, context.timeZone)
+          : DateFormatter.format(context.startTime, locale, context.timeZone);
+      }
+      case "preacher":
+        return context.getNote(settings[SettingsService.PREACHER_NOTE_CATEGORY_KEY]) || settings[SettingsService.PREACHER_FALLBACK_KEY];
+      case "theme":
+        return context.getNote(settings[SettingsService.THEME_NOTE_CATEGORY_KEY]) || settings[SettingsService.THEME_FALLBACK_KEY];
+      case "songs":
+        return TemplateRenderer.renderSongs(context.songs, settings[SettingsService.SONG_LICENSE_LINE_KEY]);
+      case "section":
+        return DescriptionSections.render(
+          DescriptionSections.find(DescriptionSections.parse(settings[SettingsService.DESCRIPTION_SECTIONS_KEY]), argument),
+          context.items,
+          context.itemNotes,
+        );
+      case "team":
+        return TeamCredits.render(context.teamMembers, TeamCredits.parsePositions(settings[SettingsService.TEAM_POSITIONS_KEY]));
+      case "chapters":
+        return YouTubeChapters.render(YouTubeChapters.fromPlanItems(context.items, Number(settings[SettingsService.CHAPTER_MIN_ITEM_LENGTH_KEY])));
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * The name PlanningCenter gives to the arrangement of a song that has no other arrangements.
+   */
+  static DEFAULT_ARRANGEMENT_NAME = "Default Arrangement";
+
+  /**
+   * Renders the song credits that the CCLI streaming license requires, followed by the license line.
+   * @param {{song: object, arrangement: object|null}[]} songs
+   * @param {string} licenseLine
+   * @returns {string} the credits, or an empty string if the plan has no songs.
+   */
+  static renderSongs(songs, licenseLine = "") {
+    if (songs.length === 0) {
+      return "";
+    }
+
+    const credits = songs.map(({ song, arrangement }) => TemplateRenderer.renderSongCredits(song.attributes, arrangement?.attributes));
+    if (licenseLine) {
+      credits.push(licenseLine);
+    }
+
+    return credits.join("\n");
+  }
+
+  static renderSongCredits(song, arrangement) {
+    const arrangementName = arrangement?.name && arrangement.name !== TemplateRenderer.DEFAULT_ARRANGEMENT_NAME
+      ? ` (${arrangement.name})`
+      : "";
+    const title = [`${song.title}${arrangementName}`, song.author].filter(Boolean).join(" - ");
+    const license = [
+      song.ccli_number ? `CCLI ${song.ccli_number}` : "",
+      song.copyright ? `© ${song.copyright}` : "",
+    ].filter(Boolean).join(" | ");
+
+    return license ? `${title}\n${license}` : title;
+  }
+}
+
+/**
+ * Checks the data of a plan before a stream is created for it, so missing data is reported before anything is sent to YouTube.
+ */
+class StreamPreflight {
+  /**
+   * Checks whether the data of a plan that the templates use is complete, and whether the stream can be created.
+   * @param {PlanContext} context
+   * @param {Object<string, string>} settings
+   * @param {YouTubeStream} stream - The stream generated from the plan.
+   * @returns {{field: string, message: string, fallback: string|null, isBlocking: boolean}[]} the problems that were found.
+   */
+  static check(context, settings, stream) {
+    const placeholders = [SettingsService.TITLE_TEMPLATE_KEY, SettingsService.DESCRIPTION_TEMPLATE_KEY]
+      .flatMap((key) => TemplateRenderer.getPlaceholders(settings[key]));
+    const isRequired = settings[SettingsService.BLOCK_ON_MISSING_PLAN_DATA_KEY] === "true";
+
+    return [
+      ...this.checkNotes(context, settings, placeholders, isRequired),
+      ...this.checkSongs(context, placeholders, isRequired),
+      ...this.checkStartTime(stream),
+      ...this.checkTitle(context, settings, stream),
+    ];
+  }
+
+  /**
+   * @param {{field: string, message: string, fallback: string|null, isBlocking: boolean}[]} issues
+   * @returns {boolean} whether one of the problems prevents the stream from being created.
+   */
+  static isBlocking(issues) {
+    return issues.some((issue) => issue.isBlocking);
+  }
+
+  /**
+   * @param {{field: string, message: string, fallback: string|null, isBlocking: boolean}[]} issues
+   * @returns {string} the problems that block the stream, in a single line.
+   */
+  static getBlockingMessage(issues) {
+    return issues.filter((issue) => issue.isBlocking).map((issue) => `${issue.field}: ${issue.message}`).join(" ");
+  }
+
+  static checkNotes(context, settings, placeholders, isRequired) {
+    const notes = new Map();
+    for (const { name, argument } of placeholders) {
+      if (name === "preacher") {
+        notes.set(name, {
+          field: Localization.translate("preflight.preacher"),
+          category: settings[SettingsService.PREACHER_NOTE_CATEGORY_KEY],
+          fallback: settings[SettingsService.PREACHER_FALLBACK_KEY],
+        });
+      } else if (name === "theme") {
+        notes.set(name, {
+          field: Localization.translate("preflight.theme"),
+          category: settings[SettingsService.THEME_NOTE_CATEGORY_KEY],
+          fallback: settings[SettingsService.THEME_FALLBACK_KEY],
+        });
+      } else if (name === "note" && argument) {
+        notes.set(`note:${argument}`, {
+          field: Localization.translate("preflight.note", { category: argument }),
+          category: argument,
+          fallback: "",
+        });
+      }
+    }
+
+    return [...notes.values()]
+      .filter((note) => context.getNote(note.category) === "")
+      .map((note) => this.createMissingIssue(
+        note.field,
+        Localization.translate("preflight.noteMissing", { category: note.category }),
+        note.fallback,
+        isRequired,
+      ));
+  }
+
+  static checkSongs(context, placeholders, isRequired) {
+    if (!placeholders.some(({ name }) => name === "songs") || context.songs.length > 0) {
+      return [];
+    }
+
+    return [this.createMissingIssue(Localization.translate("preflight.songs"), Localization.translate("preflight.songsMissing"), "", isRequired)];
+  }
+
+  static checkStartTime(stream) {
+    if (stream.getStartTime() > new Date()) {
+      return [];
+    }
+
+    // The start time can still be changed in the stream dialog.
+    return [{
+      field: Localization.translate("preflight.startTime"),
+      message: Localization.translate("preflight.startTimeInPast", { startTime: Localization.formatDateTime(stream.getStartTime()) }),
+      fallback: Localization.translate("preflight.chooseStartTime"),
+      isBlocking: false,
+    }];
+  }
+
+  static checkTitle(context, settings, stream) {
+    const title = YouTubeStreamFilter.normalizeTitle(TemplateRenderer.render(settings[SettingsService.TITLE_TEMPLATE_KEY], context, settings));
+    if (title === "") {
+      return [{
+        field: Localization.translate("preflight.title"),
+        message: Localization.translate("preflight.titleEmpty"),
+        fallback: null,
+        isBlocking: true,
+      }];
+    }
+
+    // The title of the stream starts with the whole rendered title, unless it had to be shortened.
+    if (stream.getTitle().startsWith(title)) {
+      return [];
+    }
+
+    return [{
+      field: Localization.translate("preflight.title"),
+      message: Localization.translate("preflight.titleTooLong", { length: YouTubeStreamValidator.getLength(title), max: YouTubeStreamValidator.MAX_TITLE_LENGTH }),
+      fallback: Localization.translate("preflight.titleShortened", { title: stream.getTitle() }),
+      isBlocking: false,
+    }];
+  }
+
+  /**
+   * Creates the problem of data that is missing from a plan.
+   * @param {string} field
+   * @param {string} message
+   * @param {string} fallback - The value that is used instead, or an empty string to leave it out.
+   * @param {boolean} isRequired - Whether the stream can not be created without the data.
+   */
+  static createMissingIssue(field, message, fallback, isRequired) {
+    if (fallback) {
+      return { field, message, fallback: Localization.translate("preflight.usingFallback", { fallback }), isBlocking: false };
+    }
+
+    return isRequired
+      ? { field, message, fallback: null, isBlocking: true }
+      : { field, message, fallback: Localization.translate("preflight.leftOut"), isBlocking: false };
+  }
+}
+
+/**
+ * Lists plan items that are selected by their type, title or item note, e.g. the passages of the scripture readings.
+ */
+class DescriptionSections {
+  static FIELDS = ["title", "description", "note"];
+
+  /**
+   * Parses and validates the configured sections.
+   * @param {string} json
+   * @returns {{name: string, itemType?: string, titlePattern?: string, noteCategory?: string, field: string}[]}
+   */
+  static parse(json) {
+    let sections;
+    try {
+      sections = JSON.parse(json);
+    } catch (e) {
+      throw new Error(Localization.translate("validation.sectionsInvalidJson", { error: e.message }));
+    }
+
+    if (!Array.isArray(sections)) {
+      throw new Error(Localization.translate("validation.sectionsNotList"));
+    }
+
+    for (const section of sections) {
+      if (typeof section?.name !== "string" || section.name === "") {
+        throw new Error(Localization.translate("validation.sectionName"));
+      }
+      if (!section.itemType && !section.titlePattern && !section.noteCategory) {
+        throw new Error(Localization.translate("validation.sectionSelector", { name: section.name }));
+      }
+      if (section.titlePattern) {
+        try {
+          new RegExp(section.titlePattern, "i");
+        } catch (e) {
+          throw new Error(Localization.translate("validation.sectionTitlePattern", { name: section.name, error: e.message }));
+        }
+      }
+
+      section.field ??= "title";
+      if (!DescriptionSections.FIELDS.includes(section.field)) {
+        throw new Error(Localization.translate("validation.sectionField", { name: section.name, options: DescriptionSections.FIELDS.join(", ") }));
+      }
+      if (section.field === "note" && !section.noteCategory) {
+        throw new Error(Localization.translate("validation.sectionNoteCategory", { name: section.name }));
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * @param {object[]} sections
+   * @param {string|undefined} name - The name of the section, case-insensitive.
+   * @returns {object}
+   */
+  static find(sections, name = "") {
+    const section = sections.find((section) => section.name.toLowerCase() === name.trim().toLowerCase());
+    if (!section) {
+      throw new Error(Localization.translate("validation.unknownSection", { name }));
+    }
+
+    return section;
+  }
+
+  /**
+   * @param {object} section
+   * @param {object[]} items - The items of the plan, in plan order.
+   * @param {object[]} itemNotes - The notes of the items.
+   * @returns {string} a line for every selected item, or an empty string if the plan has none.
+   */
+  static render(section, items, itemNotes) {
+    const titlePattern = section.titlePattern ? new RegExp(section.titlePattern, "i") : null;
+
+    return items
+      .filter((item) => !section.itemType || item.attributes.item_type === section.itemType)
+      .filter((item) => !titlePattern || titlePattern.test(item.attributes.title ?? ""))
+      .filter((item) => !section.noteCategory || DescriptionSections.getItemNote(item, itemNotes, section.noteCategory) !== undefined)
+      .map((item) => {
+        const value = section.field === "note"
+          ? DescriptionSections.getItemNote(item, itemNotes, section.noteCategory)
+          : item.attributes[section.field];
+        return (value ?? "").trim();
+      })
+      .filter((value) => value !== "")
+      .join("\n");
+  }
+
+  /**
+   * @param {object} item
+   * @param {object[]} itemNotes
+   * @param {string} category
+   * @returns {string|undefined} the content of the note of the item in the category, or undefined if the item has none.
+   */
+  static getItemNote(item, itemNotes, category) {
+    const noteIds = (item.relationships.item_notes?.data ?? []).map((reference) => reference.id);
+    const note = itemNotes.find((note) => noteIds.includes(note.id) && note.attributes.category_name === category);
+    return note?.attributes.content;
+  }
+}
+
+/**
+ * Lists the people that served in a plan, e.g. "Worship Leader: Anna".
+ */
+class TeamCredits {
+  /**
+   * The status of a team member that accepted the request to serve.
+   */
+  static CONFIRMED_STATUS = "C";
+
+  /**
+   * Parses the configured team positions.
+   * @param {string} text - One position per line, optionally followed by "= Label".
+   * @returns {{position: string, label: string}[]} the positions, in display order.
+   */
+  static parsePositions(text) {
+    return text.split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [position, label] = line.split("=").map((part) => part.trim());
+        return { position, label: label || position };
+      });
+  }
+
+  /**
+   * @param {object[]} teamMembers - The team members of the plan.
+   * @param {{position: string, label: string}[]} positions
+   * @returns {string} a line for every position with confirmed people, or an empty string if there are none.
+   */
+  static render(teamMembers, positions) {
+    const confirmed = teamMembers.filter((member) => member.attributes.status === TeamCredits.CONFIRMED_STATUS);
+
+    return positions.map(({ position, label }) => {
+      const names = confirmed
+        .filter((member) => member.attributes.team_position_name?.toLowerCase() === position.toLowerCase())
+        .map((member) => member.attributes.name);
+      return names.length > 0 ? `${label}: ${[...new Set(names)].join(", ")}` : "";
+    }).filter(Boolean).join("\n");
+  }
+}
+
+/**
+ * Generates the chapters of a YouTube video, e.g. "05:30 Aanbidding", from the items of a plan.
+ */
+class YouTubeChapters {
+  /**
+   * YouTube only shows chapters when there are at least this many.
+   */
+  static MIN_CHAPTERS = 3;
+
+  /**
+   * YouTube only shows chapters when every chapter is at least this long, in seconds.
+   */
+  static MIN_CHAPTER_LENGTH = 10;
+
+  /**
+   * Items with another service position, e.g. the countdown before the service, are not part of the stream.
+   */
+  static SERVICE_POSITION = "during";
+
+  static HEADER_ITEM_TYPE = "header";
+
+  /**
+   * Items that started this long before the stream started are part of the first chapter.
+   */
+  static EARLY_START_TOLERANCE_MS = 5 * 60 * 1000;
+
+  static TIMESTAMP_LINE_REGEX = /^(\d+:)?\d{1,2}:\d{2} /;
+
+  /**
+   * Computes the chapters from the lengths of the items of a plan.
+   * The items below a header form one chapter with the title of the header.
+   * @param {object[]} items - The items of the plan, in plan order.
+   * @param {number} minItemLength - Items without a header that are shorter than this, in seconds, are not a chapter.
+   * @returns {{title: string, start: number}[]} the chapters that YouTube shows, or an empty array when there are too few.
+   */
+  static fromPlanItems(items, minItemLength) {
+    const headers = YouTubeChapters.getHeaders(items);
+    const entries = [];
+    let start = 0;
+
+    for (const item of items) {
+      if (item.attributes.service_position !== YouTubeChapters.SERVICE_POSITION || YouTubeChapters.isHeader(item)) {
+        continue;
+      }
+
+      const length = item.attributes.length ?? 0;
+      entries.push({ title: item.attributes.title, header: headers.get(item.id), start, length });
+      start += length;
+    }
+
+    return YouTubeChapters.applyRules(YouTubeChapters.group(entries, minItemLength), start);
+  }
+
+  /**
+   * Computes the chapters from the times at which the items of a plan actually started, as recorded by Services Live.
+   * @param {object[]} items - The items of the plan, in plan order.
+   * @param {object[]} itemTimes - The item times of the items.
+   * @param {Date} startTime - The time at which the stream actually started.
+   * @param {Date} endTime - The time at which the stream actually ended.
+   * @param {number} minItemLength - Items without a header that are shorter than this, in seconds, are not a chapter.
+   * @returns {{title: string, start: number}[]} the chapters that YouTube shows, or an empty array when there are too few.
+   */
+  static fromItemTimes(items, itemTimes, startTime, endTime, minItemLength) {
+    const headers = YouTubeChapters.getHeaders(items);
+    const itemTimesById = new Map(itemTimes.map((itemTime) => [itemTime.id, itemTime]));
+    const duration = (endTime - startTime) / 1000;
+    const entries = [];
+
+    for (const item of items) {
+      if (YouTubeChapters.isHeader(item)) {
+        continue;
+      }
+
+      // An item has an item time for every service time, only the one during this stream counts.
+      const starts = (item.relationships.item_times?.data ?? [])
+        .map((reference) => itemTimesById.get(reference.id)?.attributes.live_start_at)
+        .filter(Boolean)
+        .map((liveStartAt) => new Date(liveStartAt))
+        .filter((time) => time >= startTime - YouTubeChapters.EARLY_START_TOLERANCE_MS && time <= endTime);
+      if (starts.length === 0) {
+        continue;
+      }
+
+      const start = Math.max(0, (Math.min(...starts) - startTime) / 1000);
+      entries.push({ title: item.attributes.title, header: headers.get(item.id), start });
+    }
+
+    entries.sort((a, b) => a.start - b.start);
+    entries.forEach((entry, index) => {
+      entry.length = (entries[index + 1]?.start ?? duration) - entry.start;
+    });
+
+    return YouTubeChapters.applyRules(YouTubeChapters.group(entries, minItemLength), duration);
+  }
+
+  /**
+   * Finds the header above every item of a plan.
+   * @param {object[]} items - The items of the plan, in plan order.
+   * @returns {Map<string, string>} the title of the header, by item id.
+   */
+  static getHeaders(items) {
+    const headers = new Map();
+    let header;
+
+    for (const item of items) {
+      if (YouTubeChapters.isHeader(item)) {
+        header = item.attributes.title;
+      } else if (header) {
+        headers.set(item.id, header);
+      }
+    }
+
+    return headers;
+  }
+
+  static isHeader(item) {
+    return item.attributes.item_type === YouTubeChapters.HEADER_ITEM_TYPE;
+  }
+
+  /**
+   * Turns items into chapters: consecutive items below the same header form one chapter, and short items without a header are skipped.
+   * @param {{title: string, header: string|undefined, start: number, length: number}[]} entries - The items, ordered by start.
+   * @param {number} minItemLength
+   * @returns {{title: string, start: number}[]}
+   */
+  static group(entries, minItemLength) {
+    const chapters = [];
+
+    for (const entry of entries) {
+      if (entry.header) {
+        if (chapters.at(-1)?.header !== entry.header) {
+          chapters.push({ title: entry.header, header: entry.header, start: entry.start });
+        }
+      } else if (entry.length >= minItemLength) {
+        chapters.push({ title: entry.title, start: entry.start });
+      }
+    }
+
+    return chapters;
+  }
+
+  /**
+   * Applies the rules of YouTube to chapters: the first chapter starts at 00:00, every chapter is long enough, and there are enough chapters.
+   * A chapter that starts too soon after the chapter before it is merged into that chapter.
+   * @param {{title: string, start: number}[]} chapters - The chapters, ordered by start.
+   * @param {number} duration - The length of the video, in seconds.
+   * @returns {{title: string, start: number}[]} the chapters, or an empty array when YouTube would not show them.
+   */
+  static applyRules(chapters, duration) {
+    const result = [];
+    for (const chapter of chapters) {
+      const previous = result.at(-1);
+      if (!previous) {
+        result.push({ title: chapter.title, start: 0 });
+      } else if (chapter.start - previous.start >= YouTubeChapters.MIN_CHAPTER_LENGTH) {
+        result.push({ title: chapter.title, start: chapter.start });
+      }
+    }
+
+    if (result.length > 0 && duration - result.at(-1).start < YouTubeChapters.MIN_CHAPTER_LENGTH) {
+      result.pop();
+    }
+
+    return result.length >= YouTubeChapters.MIN_CHAPTERS ? result : [];
+  }
+
+  /**
+   * @param {{title: string, start: number}[]} chapters
+   * @returns {string} a line with the timestamp and title of every chapter.
+   */
+  static render(chapters) {
+    return chapters.map((chapter) => `${YouTubeChapters.formatTimestamp(chapter.start)} ${chapter.title}`).join("\n");
+  }
+
+  /**
+   * Replaces the chapters in a description, or adds them at the end when it has none.
+   * @param {string} description
+   * @param {string} chapters - The rendered chapters.
+   * @returns {string}
+   */
+  static replaceInDescription(description, chapters) {
+    const lines = description.split("\n");
+    const first = lines.findIndex((line) => YouTubeChapters.TIMESTAMP_LINE_REGEX.test(line));
+    if (first === -1) {
+      return `${description.trimEnd()}\n\n${chapters}`.trim();
+    }
+
+    let end = first;
+    while (end < lines.length && YouTubeChapters.TIMESTAMP_LINE_REGEX.test(lines[end])) {
+      end++;
+    }
+
+    lines.splice(first, end - first, chapters);
+    return lines.join("\n");
+  }
+
+  /**
+   * @param {number} seconds
+   * @returns {string} the timestamp, e.g. "05:30" or "1:05:30".
+   */
+  static formatTimestamp(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = String(Math.floor(seconds % 3600 / 60)).padStart(2, "0");
+    const rest = String(Math.floor(seconds % 60)).padStart(2, "0");
+
+    return hours > 0 ? `${hours}:${minutes}:${rest}` : `${minutes}:${rest}`;
+  }
+}
+
+/**
+ * Draws the thumbnail of a stream from a background image and the data of a plan.
+ */
+class ThumbnailRenderer {
+  static WIDTH = 1280;
+  static HEIGHT = 720;
+  static MARGIN = 40;
+  static MIN_FONT_SIZE = 12;
+  static IMAGE_TYPE = "image/jpeg";
+  static IMAGE_QUALITY = 0.9;
+
+  /**
+   * Draws the thumbnail of a stream.
+   * @param {PlanContext} context - The data of the plan.
+   * @param {Object<string, string>} settings - The settings that contain the background and layout.
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  static async render(context, settings) {
+    const layout = ThumbnailRenderer.parseLayout(settings[SettingsService.THUMBNAIL_LAYOUT_KEY]);
+    const canvas = DomService.createElement("canvas", {
+      width: ThumbnailRenderer.WIDTH,
+      height: ThumbnailRenderer.HEIGHT,
+      className: "yt-stream-thumbnail",
+    });
+    const ctx = canvas.getContext("2d");
+
+    ctx.fillStyle = layout.backgroundColor ?? "#000000";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const backgroundUrl = settings[SettingsService.THUMBNAIL_BACKGROUND_URL_KEY];
+    if (backgroundUrl) {
+      try {
+        ThumbnailRenderer.drawCover(ctx, await ThumbnailRenderer.loadImage(backgroundUrl));
+      } catch (e) {
+        console.warn("Could not load the thumbnail background, using the background color instead.", e);
+      }
+    }
+
+    for (const text of layout.texts) {
+      const value = TemplateRenderer.render(text.text, context, settings);
+      ThumbnailRenderer.drawText(ctx, layout, text, value);
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Parses and validates a thumbnail layout.
+   * @param {string} json
+   * @returns {object}
+   */
+  static parseLayout(json) {
+    let layout;
+    try {
+      layout = JSON.parse(json);
+    } catch (e) {
+      throw new Error(Localization.translate("validation.layoutInvalidJson", { error: e.message }));
+    }
+
+    if (!Array.isArray(layout?.texts)) {
+      throw new Error(Localization.translate("validation.layoutTexts"));
+    }
+
+    for (const text of layout.texts) {
+      const hasPosition = [text.x, text.y, text.size].every((value) => typeof value === "number");
+      if (typeof text.text !== "string" || !hasPosition) {
+        throw new Error(Localization.translate("validation.layoutText"));
+      }
+    }
+
+    return layout;
+  }
+
+  /**
+   * Converts a thumbnail into an image that can be uploaded to YouTube.
+   * @param {HTMLCanvasElement} canvas
+   * @returns {Promise<Blob>}
+   */
+  static toBlob(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error("Could not convert the thumbnail into an image."));
+        }
+      }, ThumbnailRenderer.IMAGE_TYPE, ThumbnailRenderer.IMAGE_QUALITY);
+    });
+  }
+
+  static loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      // Without CORS the canvas cannot be exported, so images that do not allow it fail to load instead.
+      image.crossOrigin = "anonymous";
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`Could not load image ${url}`));
+      image.src = url;
+    });
+  }
+
+  /**
+   * Draws an image so it covers the whole canvas, cropping it when the aspect ratio differs.
+   */
+  static drawCover(ctx, image) {
+    const scale = Math.max(ThumbnailRenderer.WIDTH / image.width, ThumbnailRenderer.HEIGHT / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ctx.drawImage(image, (ThumbnailRenderer.WIDTH - width) / 2, (ThumbnailRenderer.HEIGHT - height) / 2, width, height);
+  }
+
+  /**
+   * Draws a text, and shrinks it until it fits within the margins of the canvas.
+   */
+  static drawText(ctx, layout, text, value) {
+    if (!value) {
+      return;
+    }
+
+    const align = text.align ?? "left";
+    const maxWidth = ThumbnailRenderer.getMaxWidth(text.x, align);
+    let size = text.size;
+
+    do {
+      ctx.font = `${text.weight ?? "normal"} ${size}px ${layout.font ?? "sans-serif"}`;
+      size -= 2;
+    } while (ctx.measureText(value).width > maxWidth && size >= ThumbnailRenderer.MIN_FONT_SIZE);
+
+    ctx.textAlign = align;
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = text.color ?? layout.color ?? "#ffffff";
+    ctx.shadowColor = layout.shadowColor ?? "transparent";
+    ctx.shadowBlur = 8;
+    ctx.fillText(value, text.x, text.y);
+  }
+
+  static getMaxWidth(x, align) {
+    const rightSpace = ThumbnailRenderer.WIDTH - ThumbnailRenderer.MARGIN - x;
+    const leftSpace = x - ThumbnailRenderer.MARGIN;
+
+    switch (align) {
+      case "center":
+        return Math.min(leftSpace, rightSpace) * 2;
+      case "right":
+        return leftSpace;
+      default:
+        return rightSpace;
+    }
+  }
+}
+
+/**
+ * Manages the streams that are created and uploaded to YouTube.
+ */
+class StreamManager {
+  /**
+   * The YouTube stream service used to interact with the YouTube API.
+   * @type {YouTubeAPIService}
+   */
+  youtubeApiService;
+
+  /**
+   * The plan context service used to collect the data of a plan.
+   * @type {PlanContextService}
+   */
+  planContextService;
+
+  /**
+   * @param {DomService} domService
+   */
+  domService;
+
+  /**
+   * The settings service used to read the user configurable settings.
+   * @type {SettingsService}
+   */
+  settingsService;
+
+  /**
+   * The settings panel that is opened with the settings button.
+   * @type {SettingsPanel}
+   */
+  settingsPanel;
+
+  /**
+   * Remembers which streams were created for which plans.
+   * @type {PlanStreamStorage}
+   */
+  planStreamStorage;
+
+  /**
+   * Stores the links to the streams of a plan in the plan itself.
+   * @type {StreamNoteService}
+   */
+  streamNoteService;
+
+  /**
+   * The PlanningCenter service used to fetch the upcoming plans of a service type.
+   * @type {PlanningCenterService}
+   */
+  planningCenterService;
+
+  /**
+   * Checks on which YouTube channel streams are created.
+   * @type {ChannelService}
+   */
+  channelService;
+
+  /**
+   * Records the streams that were created and updated, and the attempts that failed.
+   * @type {StreamHistoryStorage}
+   */
+  streamHistoryStorage;
+
+  /**
+   * Refreshes the access token when the user clicks a button.
+   * @type {AuthService}
+   */
+  authService;
+
+  /**
+   * The ID of the plan the buttons belong to, which changes when the user navigates to another plan.
+   * @type {number|undefined}
+   */
+  planId;
+
+  /**
+   * Whether the buttons are being added to the page.
+   * @type {boolean}
+   */
+  isInitializing = false;
+
+  /**
+   * The button that creates or opens the stream of the plan.
+   * @type {HTMLButtonElement|undefined}
+   */
+  streamButton;
+
+  /**
+   * The button that syncs the streams of the plan with the plan.
+   * @type {HTMLButtonElement|undefined}
+   */
+  syncButton;
+
+  /**
+   * The button that updates the chapters of the recordings of the plan.
+   * @type {HTMLButtonElement|undefined}
+   */
+  finalizeButton;
+
+  /**
+   * The maximum difference in start time between a plan and a stream that belongs to it.
+   */
+  static SAME_START_TIME_TOLERANCE_MS = 60 * 1000;
+
+  /**
+   * The life cycle statuses of streams that have not started yet.
+   */
+  static UPCOMING_LIFE_CYCLE_STATUSES = ["created", "ready"];
+
+  /**
+   * The pattern of the service time that is added to the titles of plans with several services.
+   */
+  static SERVICE_TIME_PATTERN = "HH:mm";
+
+  /**
+   * The pattern used to compare the days of plans and broadcasts.
+   */
+  static DAY_PATTERN = "yyyy-MM-dd";
+
+  /**
+   * The pattern of the plan dates in the stream history, which sorts and filters by month.
+   */
+  static HISTORY_DATE_PATTERN = "yyyy-MM-dd";
+
+  /**
+   * @param {YouTubeAPIService} youtubeApiService
+   * @param {PlanContextService} planContextService
+   * @param {DomService} domService
+   * @param {SettingsService} settingsService
+   * @param {SettingsPanel} settingsPanel
+   * @param {PlanStreamStorage} planStreamStorage
+   * @param {StreamNoteService} streamNoteService
+   * @param {PlanningCenterService} planningCenterService
+   * @param {ChannelService} channelService
+   * @param {StreamHistoryStorage} streamHistoryStorage
+   * @param {AuthService} authService
+   */
+  constructor(youtubeApiService, planContextService, domService, settingsService, settingsPanel, planStreamStorage, streamNoteService, planningCenterService, channelService, streamHistoryStorage, authService) {
+    this.youtubeApiService = youtubeApiService;
+    this.planContextService = planContextService;
+    this.domService = domService;
+    this.settingsService = settingsService;
+    this.settingsPanel = settingsPanel;
+    this.planStreamStorage = planStreamStorage;
+    this.streamNoteService = streamNoteService;
+    this.planningCenterService = planningCenterService;
+    this.channelService = channelService;
+    this.streamHistoryStorage = streamHistoryStorage;
+    this.authService = authService;
+  }
+
+  /**
+   * Initializes the stream manager.
+   */
+  async init() {
+    DebugLogging.debug("Initializing stream manager.");
+
+    this.planId = this.domService.getPlanId();
+    this.isInitializing = true;
+    try {
+      await this.createPlanButtons();
+    } finally {
+      this.isInitializing = false;
+    }
+
+    this.showCurrentChannel();
+    await this.updateStreamButton(this.planId);
+  }
+
+  /**
+   * Adds the buttons to a plan page, the buttons act on the plan that is open when they are clicked.
+   */
+  async createPlanButtons() {
+    const streamButton = await this.domService.createStreamButton();
+    if (streamButton) {
+      this.streamButton = streamButton;
+      streamButton.addEventListener("click", () => this.runAction(() => this.onStreamButtonClick(this.planId)));
+    }
+
+    const syncButton = await this.domService.createSyncButton();
+    if (syncButton) {
+      this.syncButton = syncButton;
+      syncButton.hidden = true;
+      syncButton.addEventListener("click", () => this.runAction(() => this.onSyncButtonClick(this.planId)));
+    }
+
+    const finalizeButton = await this.domService.createFinalizeButton();
+    if (finalizeButton) {
+      this.finalizeButton = finalizeButton;
+      finalizeButton.hidden = true;
+      finalizeButton.addEventListener("click", () => this.runAction(() => this.onFinalizeButtonClick(this.planId)));
+    }
+
+    const settingsButton = await this.domService.createSettingsButton();
+    settingsButton?.addEventListener("click", () => this.settingsPanel.open());
+  }
+
+  /**
+   * Shows the buttons for the plan that is open, after the page was loaded or the user navigated to another plan.
+   */
+  async showPlan() {
+    if (this.isInitializing) {
+      this.planId = this.domService.getPlanId();
+      return;
+    }
+
+    if (!this.domService.streamButtonExists()) {
+      await this.init();
+      return;
+    }
+
+    const planId = this.domService.getPlanId();
+    if (planId === this.planId) {
+      return;
+    }
+
+    console.info(`Navigated to plan ${planId}.`);
+    this.planId = planId;
+    this.domService.setStreamButtonLabel(this.streamButton, Localization.translate("button.newStream"));
+    for (const button of [this.syncButton, this.finalizeButton].filter(Boolean)) {
+      button.hidden = true;
+    }
+
+    await this.updateStreamButton(planId);
+  }
+
+  /**
+   * Removes the buttons from the page, after the user navigated away from the plan.
+   */
+  removePlanButtons() {
+    if (!this.streamButton && !this.domService.streamButtonExists()) {
+      return;
+    }
+
+    console.info("Left the plan page, removing the stream buttons.");
+    this.domService.removePlanElements();
+    this.streamButton = undefined;
+    this.syncButton = undefined;
+    this.finalizeButton = undefined;
+    this.planId = undefined;
+  }
+
+  /**
+   * Shows the channel that streams are created on next to the stream button, if the user is already logged in.
+   */
+  async showCurrentChannel() {
+    if (!this.channelService.isLoggedIn()) {
+      return;
+    }
+
+    try {
+      const { channel } = await this.channelService.getChannel();
+      if (channel) {
+        this.domService.showChannel(this.streamButton, channel);
+      }
+    } catch (e) {
+      console.warn("Could not fetch the YouTube channel.", e);
+    }
   }
 
   /**
-   * Gets the notes in a plan from PlanningCenter by its ID.
-   * @param {number} planId the ID of the plan
-   * @returns {Promise<object>} the notes in the plan
+   * Checks whether streams can be created on the channel of the logged in user, and tells the user when they can not.
+   * @param {PlanContext} context
+   * @param {YouTubeStream} stream - The stream that would be created.
+   * @returns {Promise<object|undefined>} the channel resource, or undefined if no streams can be created on it.
    */
-  async fetchNotes(planId) {
-    const url = `${this.buildPlanUrl(planId)}/notes`;
-
+  async verifyChannel(context, stream) {
     try {
-      return await this.fetchJson(url);
-    } catch (error) {
-      throw new Error(`Failed to fetch notes: ${error}`);
+      const channel = await this.channelService.verify(this.settingsService.get(SettingsService.EXPECTED_CHANNEL_ID_KEY));
+      this.domService.showChannel(this.streamButton, channel);
+      return channel;
+    } catch (e) {
+      console.error(e);
+      this.recordHistory(StreamHistoryAction.FAILED, context.planId, context, stream, "", e);
+      alert(e.message);
+      return undefined;
     }
   }
 
   /**
-   * Gets the songs in a plan from PlanningCenter by its ID.
-   * @param {number} planId the ID of the plan
-   * @returns {Promise<object>} the songs in the plan
+   * Initializes the stream manager on a service type page.
    */
-  async fetchSongs(planId) {
-    const items = await this.fetchItems(planId);
-    const songIds = items.filter((item) => item.relationships.song.data !== null).map((item) => item.relationships.song.data.id);
+  initServiceTypePage() {
+    DebugLogging.debug("Initializing stream manager on service type page.");
+
+    const bulkButton = this.domService.createBulkButton();
+    bulkButton.addEventListener("click", () => this.runAction(() => this.onBulkButtonClick(this.domService.getServiceTypeId())));
+  }
 
+  /**
+   * Runs the action of a button, and shows the errors that the action did not handle itself,
+   * e.g. when YouTube or PlanningCenter cannot be reached.
+   * The access token is refreshed first, while the browser still allows the login popup of the click.
+   * @param {Function} action
+   */
+  async runAction(action) {
     try {
-      const promises = songIds.map((songId) => this.fetchSong(songId));
-      return await Promise.all(promises);
-    } catch (error) {
-      throw new Error(`Failed to fetch songs: ${error}`);
+      await this.authService.refreshIfExpiring();
+      await action();
+    } catch (e) {
+      console.error(e);
+      alert(e.message);
     }
   }
 
-  async fetchSong(songId) {
-    const url = `${PlanningCenterService.API_BASE_URL}/songs/${songId}`;
+  /**
+   * Lets the user create streams for several upcoming plans of a service type.
+   * @param {number} serviceTypeId
+   */
+  async onBulkButtonClick(serviceTypeId) {
+    DebugLogging.debug("Bulk button clicked.");
 
+    let plans;
     try {
-      return await this.fetchJson(url);
-    } catch (error) {
-      throw new Error(`Failed to fetch song: ${error}`);
+      plans = await this.getBulkPlans(serviceTypeId);
+    } catch (e) {
+      console.error(e);
+      alert(Localization.translate("alert.bulkLoadFailed", { error: e.message }));
+      return;
+    }
+
+    const dialog = this.domService.createBulkStreamDialog(plans);
+    const planIds = await dialog.open();
+    if (planIds.length === 0) {
+      return;
+    }
+
+    let upcomingStreams;
+    try {
+      await this.channelService.verify(this.settingsService.get(SettingsService.EXPECTED_CHANNEL_ID_KEY));
+      upcomingStreams = await this.youtubeApiService.fetchUpcomingStreams();
+    } catch (e) {
+      console.error(e);
+      dialog.finish(e.message);
+      return;
+    }
+
+    let createdCount = 0;
+    let failedCount = 0;
+    for (const planId of planIds) {
+      dialog.setStatus(planId, Localization.translate("bulkDialog.creating"));
+      const { titles, errors } = await this.createBulkStreams(planId, upcomingStreams);
+      createdCount += titles.length;
+      failedCount += errors.length;
+      dialog.setStatus(planId, this.getBulkStatus(titles, errors));
     }
+
+    dialog.finish(Localization.translate("bulkDialog.summary", { created: createdCount, failed: failedCount }));
   }
 
-  async fetchItems(planId) {
-    const url = `${this.buildPlanUrl(planId)}/items`;
+  /**
+   * Creates the streams of the services of a plan that have no stream yet, without asking the user anything.
+   * A stream that fails does not stop the streams of the other services.
+   * @param {number} planId
+   * @param {object[]} upcomingStreams - The liveBroadcast resources of the upcoming streams of the channel.
+   * @returns {Promise<{titles: string[], errors: string[]}>} the titles of the created streams and the errors of the failed streams,
+   * a single error when the data of the plan could not be loaded.
+   */
+  async createBulkStreams(planId, upcomingStreams) {
+    const titles = [];
+    const errors = [];
 
+    let context;
     try {
-      return await this.fetchAllJsonData(url);
-    } catch (error) {
-      throw new Error(`Failed to fetch items: ${error}`);
+      context = await this.planContextService.create(planId);
+    } catch (e) {
+      console.error(e);
+      this.recordHistory(StreamHistoryAction.FAILED, planId, undefined, undefined, "", e);
+      return { titles, errors: [e.message] };
+    }
+
+    const linkedVideoIds = await this.getLinkedVideoIds(planId);
+    for (const serviceTime of this.getServiceTimes(context)) {
+      let stream;
+      try {
+        stream = await this.getStreamFromContext(context, serviceTime);
+        if (this.matchExistingStream(upcomingStreams, linkedVideoIds, stream, context, serviceTime)) {
+          DebugLogging.debug(`The service at ${stream.getStartTime()} already has a stream.`);
+          continue;
+        }
+
+        const issues = StreamPreflight.check(context, this.settingsService.getAll(), stream);
+        if (StreamPreflight.isBlocking(issues)) {
+          throw new Error(StreamPreflight.getBlockingMessage(issues));
+        }
+
+        const videoId = await this.publishStream(planId, stream);
+        this.recordHistory(StreamHistoryAction.CREATED, planId, context, stream, videoId);
+        titles.push(stream.getTitle());
+      } catch (e) {
+        console.error(e);
+        this.recordHistory(StreamHistoryAction.FAILED, planId, context, stream, "", e);
+        errors.push(e.message);
+      }
     }
+
+    return { titles, errors };
   }
 
-  async fetchAllJsonData(url) {
-    const allData = [];
-    let nextUrl = url;
+  /**
+   * @param {string[]} titles - The titles of the streams that were created for a plan.
+   * @param {string[]} errors - The errors of the streams that failed.
+   * @returns {string} the status of the plan in the bulk dialog.
+   */
+  getBulkStatus(titles, errors) {
+    const title = titles.join(", ");
+    const error = errors.join(" ");
+    if (titles.length === 0 && errors.length === 0) {
+      return Localization.translate("bulkDialog.allExist");
+    } else if (errors.length === 0) {
+      return Localization.translate("bulkDialog.created", { title });
+    }
 
-    while (nextUrl) {
-      const json = await this.fetchJson(nextUrl);
-      const data = json.data;
-      if (data) {
-        allData.push(...data);
+    return titles.length === 0
+      ? Localization.translate("bulkDialog.failed", { error })
+      : Localization.translate("bulkDialog.partial", { title, error });
+  }
+
+  /**
+   * Gets the upcoming plans of a service type, and which of their services already have a broadcast on YouTube.
+   * A service has a broadcast when an upcoming stream that is linked to the plan belongs to it, like in {@link StreamManager#findExistingStream}.
+   * A plan may have a broadcast when another upcoming broadcast is scheduled on its day, e.g. when it was created on another computer
+   * and its link was not saved in the plan, or when it is the broadcast of another service type.
+   * @param {number} serviceTypeId
+   * @returns {Promise<{id: string, date: string, title: string, hasStream: boolean, streamCount: number, serviceCount: number, mayHaveStream: boolean}[]>}
+   */
+  async getBulkPlans(serviceTypeId) {
+    const futurePlans = await this.planningCenterService.fetchFuturePlans(serviceTypeId);
+    const upcomingStreams = await this.youtubeApiService.fetchUpcomingStreams();
+    const timeZone = await this.planContextService.getTimeZone();
+    const getDay = (date) => DateFormatter.formatPattern(date, StreamManager.DAY_PATTERN, "en", timeZone);
+
+    return Promise.all(futurePlans.map(async (plan) => {
+      const [linkedVideoIds, serviceTimes] = await Promise.all([
+        this.getLinkedVideoIds(plan.id),
+        this.planContextService.getServiceTimes(plan.id),
+      ]);
+      const services = serviceTimes.length > 0 ? serviceTimes : [undefined];
+      const linkedStreams = upcomingStreams.filter((broadcast) => linkedVideoIds.includes(broadcast.id));
+      const streamCount = services.filter((serviceTime) => linkedStreams.some((broadcast) => {
+        return this.findServiceTime(serviceTimes, new Date(broadcast.snippet.scheduledStartTime)) === serviceTime;
+      })).length;
+
+      // The sort_date shows the time on the clock of the organization as if it were UTC.
+      const planDay = getDay(DateFormatter.fromClockTime(new Date(plan.attributes.sort_date), timeZone));
+      const mayHaveStream = upcomingStreams.some((broadcast) => !linkedVideoIds.includes(broadcast.id)
+        && getDay(new Date(broadcast.snippet.scheduledStartTime)) === planDay);
+
+      return {
+        id: plan.id,
+        date: plan.attributes.dates,
+        title: plan.attributes.title,
+        hasStream: streamCount === services.length,
+        streamCount,
+        serviceCount: services.length,
+        mayHaveStream,
+      };
+    }));
+  }
+
+  /**
+   * Creates a stream and uploads it to YouTube, or lets the user choose what to do with the existing stream of a service.
+   * @param {number} planId - The ID of the plan to create a stream for.
+   */
+  async onStreamButtonClick(planId) {
+    DebugLogging.debug("Stream button clicked.");
+
+    let context;
+    try {
+      context = await this.planContextService.create(planId);
+    } catch (e) {
+      console.error(e);
+      this.recordHistory(StreamHistoryAction.FAILED, planId, undefined, undefined, "", e);
+      alert(Localization.translate("alert.planDataFailed", { error: e.message }));
+      return;
+    }
+
+    const serviceTimes = await this.chooseServiceTimes(context);
+    if (serviceTimes.length === 0) {
+      alert(Localization.translate("alert.creationCancelled"));
+      return;
+    }
+
+    for (const serviceTime of serviceTimes) {
+      try {
+        await this.createStreamForServiceTime(planId, context, serviceTime);
+      } catch (e) {
+        console.error(e);
+        this.recordHistory(StreamHistoryAction.FAILED, planId, context, undefined, "", e);
+        alert(Localization.translate("alert.createFailed", { error: e.message }));
       }
+    }
+  }
 
-      nextUrl = json.links?.next;
+  /**
+   * Asks the user which service times of a plan get a stream, when the plan has more than one.
+   * @param {PlanContext} context
+   * @returns {Promise<(object|undefined)[]>} the selected service times, or an empty array if the user cancelled.
+   */
+  async chooseServiceTimes(context) {
+    if (context.serviceTimes.length <= 1) {
+      return this.getServiceTimes(context);
     }
 
-    return allData;
+    const options = context.serviceTimes.map((serviceTime) => ({
+      id: serviceTime.id,
+      label: [this.formatServiceTime(context, serviceTime), serviceTime.attributes.name].filter(Boolean).join(" - "),
+    }));
+    const ids = await this.domService.chooseServiceTimes(options);
+
+    return context.serviceTimes.filter((serviceTime) => ids.includes(serviceTime.id));
   }
 
-  async fetchJson(url) {
-    const res = await fetch(url, { credentials: "include" });
-    return await res.json();
+  /**
+   * @param {PlanContext} context
+   * @returns {(object|undefined)[]} the service times of a plan, or a single undefined service time when the plan has none.
+   */
+  getServiceTimes(context) {
+    return context.serviceTimes.length > 0 ? context.serviceTimes : [undefined];
   }
 
-  buildPlanUrl(id) {
-    return `${PlanningCenterService.API_BASE_URL}/plans/${id}`;
+  /**
+   * Creates a stream for a service of a plan, or lets the user choose what to do with its existing stream.
+   * @param {number} planId
+   * @param {PlanContext} context
+   * @param {object|undefined} serviceTime
+   */
+  async createStreamForServiceTime(planId, context, serviceTime) {
+    const stream = await this.getStreamFromContext(context, serviceTime);
+    if (!await this.checkPlanData(context, stream)) {
+      alert(Localization.translate("alert.creationCancelled"));
+      return;
+    }
+
+    const channel = await this.verifyChannel(context, stream);
+    if (!channel) {
+      return;
+    }
+
+    const existingStream = await this.findExistingStream(planId, stream, context, serviceTime);
+    if (!existingStream) {
+      await this.createStreamForPlan(context, stream, channel);
+      return;
+    }
+
+    const action = await this.domService.chooseExistingStreamAction(existingStream);
+    switch (action) {
+      case ExistingStreamAction.OPEN:
+        window.open(YouTubeLinks.getStudioUrl(existingStream.id), "_blank");
+        break;
+      case ExistingStreamAction.UPDATE:
+        await this.updateStreamForPlan(context, existingStream.id, stream, channel);
+        break;
+      case ExistingStreamAction.REPLACE:
+        await this.replaceStreamForPlan(context, existingStream.id, stream, channel);
+        break;
+      case ExistingStreamAction.CREATE:
+        await this.createStreamForPlan(context, stream, channel);
+        break;
+      default:
+        alert(Localization.translate("alert.creationCancelled"));
+    }
   }
-}
 
-/**
- * Handles everything related to the DOM.
- */
-class DomService {
-  static ORIGINAL_BUTTON_SELECTOR = `button[aria-label="Share"]`;
-  static STREAM_BUTTON_ID = "yt-stream-button";
+  /**
+   * Checks the data of a plan before anything is sent to YouTube, and shows the problems that were found.
+   * @param {PlanContext} context
+   * @param {YouTubeStream} stream
+   * @returns {Promise<boolean>} whether the stream should be created.
+   */
+  async checkPlanData(context, stream) {
+    const issues = StreamPreflight.check(context, this.settingsService.getAll(), stream);
+    if (issues.length === 0) {
+      return true;
+    }
 
-  constructor() { }
+    console.info("Problems found in the data of the plan:", issues);
+    const confirmed = await this.domService.confirmPreflight(issues);
+    if (StreamPreflight.isBlocking(issues)) {
+      this.recordHistory(StreamHistoryAction.FAILED, context.planId, context, stream, "", new Error(StreamPreflight.getBlockingMessage(issues)));
+    }
+
+    return confirmed;
+  }
 
   /**
-   * Creates a button that allows the user to create a stream.
-   * @returns {Promise<HTMLButtonElement>}
+   * Lets the user edit and confirm a stream, and draws its thumbnail again when the start time was changed,
+   * so the uploaded thumbnail shows the same date as the stream.
+   * @param {PlanContext} context
+   * @param {YouTubeStream} stream
+   * @param {string} confirmLabel
+   * @param {object} channel
+   * @returns {Promise<boolean>} whether the user confirmed the stream.
    */
-  async createStreamButton() {
-    console.debug("Looking for original button to clone...");
+  async confirmStream(context, stream, confirmLabel, channel) {
+    const startTime = stream.getStartTime().getTime();
+    const confirmed = await this.domService.confirmStreamCreation(stream, confirmLabel, channel, context.timeZone);
+    if (confirmed && stream.getThumbnail() && stream.getStartTime().getTime() !== startTime) {
+      const settings = this.settingsService.getAll();
+      const serviceStartTime = new Date(stream.getStartTime().getTime() + this.getPreRollMs(settings));
+      stream.setThumbnail(await this.getThumbnail(context.withStartTime(serviceStartTime), settings));
+    }
 
-    const originalButton = await this.queryElement(DomService.ORIGINAL_BUTTON_SELECTOR);
+    return confirmed;
+  }
 
-    if (this.streamButtonExists()) {
-      console.debug("Stream button already exists!");
+  /**
+   * Lets the user edit a new stream, and creates it for a plan.
+   * @param {PlanContext} context
+   * @param {YouTubeStream} stream
+   * @param {object} channel - The channel resource of the channel the stream is created on.
+   */
+  async createStreamForPlan(context, stream, channel) {
+    const confirmed = await this.confirmStream(context, stream, Localization.translate("streamDialog.create"), channel);
+    if (!confirmed) {
+      alert(Localization.translate("alert.creationCancelled"));
       return;
     }
 
-    console.debug("Creating stream button.");
+    try {
+      const videoId = await this.publishStream(context.planId, stream);
+      this.recordHistory(StreamHistoryAction.CREATED, context.planId, context, stream, videoId);
+    } catch (e) {
+      console.error(e);
+      this.recordHistory(StreamHistoryAction.FAILED, context.planId, context, stream, "", e);
+      alert(Localization.translate("alert.createFailed", { error: e.message }));
+      return;
+    }
 
-    const youtubeButton = originalButton.cloneNode(true);
-    youtubeButton.id = DomService.STREAM_BUTTON_ID;
-    youtubeButton.innerText = "New Stream";
-    youtubeButton.setAttribute("aria-label", "New Stream");
+    alert(Localization.translate("alert.created"));
+  }
+
+  /**
+   * Lets the user edit the new details of an existing stream, and updates it.
+   * @param {PlanContext} context
+   * @param {string} videoId - The video id of the existing stream.
+   * @param {YouTubeStream} stream
+   * @param {object} channel - The channel resource of the channel the stream is created on.
+   */
+  async updateStreamForPlan(context, videoId, stream, channel) {
+    const confirmed = await this.confirmStream(context, stream, Localization.translate("streamDialog.update"), channel);
+    if (!confirmed) {
+      alert(Localization.translate("alert.updateCancelled"));
+      return;
+    }
+
+    try {
+      YouTubeStreamValidator.validate(stream);
+      await this.keepMonitorStream(videoId, stream);
+      await this.youtubeApiService.updateStream(videoId, stream);
+      this.recordHistory(StreamHistoryAction.UPDATED, context.planId, context, stream, videoId);
+    } catch (e) {
+      console.error(e);
+      this.recordHistory(StreamHistoryAction.FAILED, context.planId, context, stream, videoId, e);
+      alert(Localization.translate("alert.updateFailed", { error: e.message }));
+      return;
+    }
+
+    this.planStreamStorage.addVideoId(context.planId, videoId);
+    await this.linkStreamNote(context.planId, videoId);
+    alert(Localization.translate("alert.updated"));
+  }
+
+  /**
+   * Lets the user edit a new stream, creates it and deletes the existing stream.
+   * @param {PlanContext} context
+   * @param {string} videoId - The video id of the existing stream.
+   * @param {YouTubeStream} stream
+   * @param {object} channel - The channel resource of the channel the stream is created on.
+   */
+  async replaceStreamForPlan(context, videoId, stream, channel) {
+    const confirmed = await this.confirmStream(context, stream, Localization.translate("streamDialog.replace"), channel);
+    if (!confirmed) {
+      alert(Localization.translate("alert.replaceCancelled"));
+      return;
+    }
+
+    const planId = context.planId;
+
+    // The new stream is created first, so the plan keeps a stream when the creation fails.
+    try {
+      const newVideoId = await this.publishStream(planId, stream);
+      this.recordHistory(StreamHistoryAction.CREATED, planId, context, stream, newVideoId);
+    } catch (e) {
+      console.error(e);
+      this.recordHistory(StreamHistoryAction.FAILED, planId, context, stream, "", e);
+      alert(Localization.translate("alert.replaceFailed", { error: e.message }));
+      return;
+    }
+
+    // The old stream stays linked to the plan when it cannot be deleted, so it can still be found and deleted by hand.
+    try {
+      await this.youtubeApiService.deleteStream(videoId);
+    } catch (e) {
+      console.error(e);
+      alert(Localization.translate("alert.deleteFailed", { videoId, error: e.message }));
+      return;
+    }
+
+    this.planStreamStorage.removeVideoId(planId, videoId);
+    await this.unlinkStreamNote(planId, videoId);
+    alert(Localization.translate("alert.replaced"));
+  }
+
+  /**
+   * Records what happened to a stream in the stream history.
+   * @param {string} action - One of StreamHistoryAction.
+   * @param {number} planId
+   * @param {PlanContext|undefined} context - The data of the plan, if it could be loaded.
+   * @param {YouTubeStream|undefined} stream
+   * @param {string} videoId - The video id of the stream, or an empty string if it was not created.
+   * @param {Error} [error] - The error that made the action fail.
+   */
+  recordHistory(action, planId, context, stream, videoId, error = undefined) {
+    const channel = this.channelService.getCachedChannel();
+    this.streamHistoryStorage.add({
+      timestamp: new Date().toISOString(),
+      action,
+      planId,
+      planDate: context ? DateFormatter.formatPattern(context.startTime, StreamManager.HISTORY_DATE_PATTERN, "en", context.timeZone) : "",
+      videoId,
+      title: stream?.getTitle() ?? "",
+      playlistId: stream?.getPlaylistId() ?? "",
+      account: channel?.snippet.title ?? "",
+      channelId: channel?.id ?? "",
+      error: error?.message ?? "",
+    });
+  }
+
+  /**
+   * Creates a stream, adds it to its playlist and links it to a plan.
+   * Once the stream exists on YouTube, the remaining steps only warn when they fail, so the stream is never created twice.
+   * @param {number} planId
+   * @param {YouTubeStream} stream
+   * @returns {Promise<string>} video id of the stream.
+   */
+  async publishStream(planId, stream) {
+    const liveStreamId = await this.getDefaultLiveStreamId();
+
+    const videoId = await this.createStream(stream);
+    DebugLogging.debug(`Livestream video id: ${videoId}`);
+    this.planStreamStorage.addVideoId(planId, videoId);
+
+    await this.bindDefaultLiveStream(videoId, liveStreamId);
+    await this.uploadThumbnail(videoId, stream);
+    await this.addStreamToPlaylist(stream.getPlaylistId(), videoId);
+    await this.linkStreamNote(planId, videoId);
+
+    return videoId;
+  }
+
+  /**
+   * Binds a stream to the default stream key, without failing the stream creation when it cannot be bound.
+   * @param {string} videoId
+   * @param {string} liveStreamId - The id of the stream key, or an empty string when no stream key should be bound.
+   */
+  async bindDefaultLiveStream(videoId, liveStreamId) {
+    if (!liveStreamId) {
+      return;
+    }
+
+    try {
+      await this.youtubeApiService.bindLiveStream(videoId, liveStreamId);
+    } catch (e) {
+      console.error(e);
+      alert(Localization.translate("alert.bindFailed", { error: e.message }));
+    }
+  }
+
+  /**
+   * Adds a new stream to its playlist, without failing the stream creation when it cannot be added.
+   * @param {string} playlistId
+   * @param {string} videoId
+   */
+  async addStreamToPlaylist(playlistId, videoId) {
+    if (!playlistId) {
+      return;
+    }
+
+    try {
+      const playlistItem = new PlaylistItem();
+      playlistItem.setId(playlistId);
+      playlistItem.setVideoId(videoId);
+
+      await this.addToPlaylist(playlistItem);
+    } catch (e) {
+      console.error(e);
+      alert(Localization.translate("alert.playlistFailed", { error: e.message }));
+    }
+  }
+
+  /**
+   * Uploads the thumbnail of a stream, without failing the stream creation when it cannot be uploaded.
+   * @param {string} videoId
+   * @param {YouTubeStream} stream
+   */
+  async uploadThumbnail(videoId, stream) {
+    if (!stream.getThumbnail()) {
+      return;
+    }
+
+    try {
+      const image = await ThumbnailRenderer.toBlob(stream.getThumbnail());
+      await this.youtubeApiService.setThumbnail(videoId, image);
+    } catch (e) {
+      console.error(e);
+      alert(Localization.translate("alert.thumbnailFailed", { error: e.message }));
+    }
+  }
+
+  /**
+   * Gets the configured default stream key, and checks whether it still exists.
+   * @returns {Promise<string>} the id of the stream key, or an empty string when no stream key should be bound.
+   */
+  async getDefaultLiveStreamId() {
+    const liveStreamId = this.settingsService.get(SettingsService.DEFAULT_STREAM_ID_KEY);
+    if (!liveStreamId) {
+      return "";
+    }
+
+    const liveStream = await this.youtubeApiService.fetchLiveStream(liveStreamId);
+    if (!liveStream) {
+      throw new Error(Localization.translate("alert.defaultStreamKeyMissing"));
+    }
+
+    return liveStreamId;
+  }
+
+  /**
+   * Saves the links of a stream in the plan, without failing the stream creation when it cannot be saved.
+   * @param {number} planId
+   * @param {string} videoId
+   */
+  async linkStreamNote(planId, videoId) {
+    try {
+      await this.streamNoteService.addVideoId(planId, videoId);
+      await this.updateStreamButton(planId);
+    } catch (e) {
+      console.error(e);
+      alert(Localization.translate("alert.linkFailed", { error: e.message }));
+    }
+  }
+
+  /**
+   * Removes the links of a stream from the plan, without failing when it cannot be removed.
+   * @param {number} planId
+   * @param {string} videoId
+   */
+  async unlinkStreamNote(planId, videoId) {
+    try {
+      await this.streamNoteService.removeVideoId(planId, videoId);
+    } catch (e) {
+      console.error(e);
+      alert(Localization.translate("alert.unlinkFailed", { error: e.message }));
+    }
+  }
+
+  /**
+   * Shows whether the plan already has a stream on the stream button.
+   * @param {number} planId
+   */
+  async updateStreamButton(planId) {
+    const noteVideoIds = await this.getNoteVideoIds(planId);
+    if (planId !== this.planId) {
+      // The user navigated to another plan while the notes were fetched.
+      return;
+    }
+
+    if (this.streamButton) {
+      const label = Localization.translate(noteVideoIds.length > 0 ? "button.openStream" : "button.newStream");
+      this.domService.setStreamButtonLabel(this.streamButton, label);
+    }
 
-    originalButton.parentNode.prepend(youtubeButton);
+    if (this.syncButton || this.finalizeButton) {
+      const linkedVideoIds = await this.getLinkedVideoIds(planId);
+      if (planId !== this.planId) {
+        return;
+      }
 
-    return youtubeButton;
+      for (const button of [this.syncButton, this.finalizeButton].filter(Boolean)) {
+        button.hidden = linkedVideoIds.length === 0;
+      }
+    }
   }
 
   /**
-   * Checks whether the current page is a service plan page.
-   * @returns {boolean}
+   * Gets the video ids of all streams that were created for a plan.
+   * @param {number} planId
+   * @returns {Promise<string[]>}
    */
-  isPlanPage() {
-    return window.location.pathname.startsWith(App.PLANS_PAGE_PREFIX);
-  }
+  async getLinkedVideoIds(planId) {
+    const videoIds = [
+      ...this.planStreamStorage.getVideoIds(planId),
+      ...await this.getNoteVideoIds(planId),
+    ];
 
-  /**
-   * Checks whether the stream button already exists on the page
-   * @returns {boolean}
-   */
-  streamButtonExists() {
-    return document.querySelector(`#${DomService.STREAM_BUTTON_ID}`) !== null;
+    return [...new Set(videoIds)];
   }
 
   /**
-   * Gets the ID of the plan from the URL.
-   * @returns {number}
+   * Updates the streams of a plan with the current data of the plan.
+   * @param {number} planId - The ID of the plan to sync the streams of.
    */
-  getPlanId() {
-    const rawId = window.location.pathname.split("/").pop();
-    return Number(rawId);
+  async onSyncButtonClick(planId) {
+    DebugLogging.debug("Sync button clicked.");
+
+    const videoIds = await this.getLinkedVideoIds(planId);
+    if (videoIds.length === 0) {
+      alert(Localization.translate("alert.noStreamsToSync"));
+      return;
+    }
+
+    for (const videoId of videoIds) {
+      try {
+        await this.syncStream(planId, videoId);
+      } catch (e) {
+        console.error(e);
+        this.recordHistory(StreamHistoryAction.FAILED, planId, undefined, undefined, videoId, e);
+        alert(Localization.translate("alert.syncFailed", { videoId, error: e.message }));
+      }
+    }
   }
 
   /**
-   * Shows a preview of the stream that will be created, and allows the user to confirm the stream creation.
-   * @param {YouTubeStream} stream - The stream to preview.
+   * Shows the differences between a stream and the plan, and applies them when the user confirms.
+   * @param {number} planId
+   * @param {string} videoId
    */
-  confirmStreamCreation(stream) {
-    return confirm(`Do you want to create a stream titled "${stream.getTitle()}"?`);
-  }
+  async syncStream(planId, videoId) {
+    const broadcast = await this.youtubeApiService.fetchStream(videoId);
+    if (!broadcast) {
+      alert(Localization.translate("alert.streamNotFound", { videoId }));
+      return;
+    }
 
-  queryElement(selector) {
-    return new Promise((resolve) => {
-      const element = document.querySelector(selector);
-      if (element) {
-        resolve(element);
+    const context = await this.planContextService.create(planId);
+    const serviceTime = this.findServiceTime(context.serviceTimes, new Date(broadcast.snippet.scheduledStartTime));
+    const stream = await this.getStreamFromContext(context, serviceTime, false);
+    stream
+      .setVisibility(broadcast.status.privacyStatus)
+      .setContentDetails(this.getBroadcastContentDetails(broadcast))
+      .setMadeForKids(broadcast.status.selfDeclaredMadeForKids ?? stream.isMadeForKids());
+
+    // Streams that already started cannot be rescheduled, and YouTube does not accept a start time in the past.
+    if (!StreamManager.UPCOMING_LIFE_CYCLE_STATUSES.includes(broadcast.status.lifeCycleStatus) || stream.getStartTime() <= new Date()) {
+      stream.setStartTime(new Date(broadcast.snippet.scheduledStartTime));
+    }
+
+    const changes = StreamDiff.compare(broadcast, stream);
+    if (changes.length > 0) {
+      const confirmed = await this.domService.confirmStreamSync(broadcast, changes);
+      if (!confirmed) {
+        alert(Localization.translate("alert.syncCancelled"));
         return;
       }
 
-      const observer = new MutationObserver(() => {
-        const newElement = document.querySelector(selector);
-        if (newElement) {
-          observer.disconnect();
-          resolve(newElement);
-        }
-      });
+      try {
+        await this.youtubeApiService.updateStream(videoId, stream);
+        this.recordHistory(StreamHistoryAction.UPDATED, planId, context, stream, videoId);
+      } catch (e) {
+        console.error(e);
+        this.recordHistory(StreamHistoryAction.FAILED, planId, context, stream, videoId, e);
+        alert(Localization.translate("alert.updateFailed", { error: e.message }));
+        return;
+      }
+    }
 
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-      });
-    });
+    const addedToPlaylist = await this.ensureInPlaylist(stream.getPlaylistId(), videoId);
+
+    if (changes.length === 0 && !addedToPlaylist) {
+      alert(Localization.translate("alert.upToDate", { title: broadcast.snippet.title }));
+    } else {
+      alert(Localization.translate("alert.synced", { title: stream.getTitle() }));
+    }
   }
-}
 
-class DateFormatter {
-  static LOCALE_LANGUAGE = "nl-NL";
+  /**
+   * Replaces the planned chapters of the recordings of a plan with the times recorded by Services Live.
+   * @param {number} planId
+   */
+  async onFinalizeButtonClick(planId) {
+    DebugLogging.debug("Finalize button clicked.");
 
-  static YEAR_FORMAT = "numeric";
-  static MONTH_FORMAT = "2-digit";
-  static DAY_FORMAT = "2-digit";
+    const videoIds = await this.getLinkedVideoIds(planId);
+    if (videoIds.length === 0) {
+      alert(Localization.translate("alert.noStreamsToFinalize"));
+      return;
+    }
 
-  static format(date) {
-    const options = {
-      year: DateFormatter.YEAR_FORMAT,
-      month: DateFormatter.MONTH_FORMAT,
-      day: DateFormatter.DAY_FORMAT,
-    };
+    try {
+      const planItems = await this.planningCenterService.fetchItemTimes(planId);
+      DebugLogging.debug("Item times:", planItems);
 
-    return date.toLocaleString(DateFormatter.LOCALE_LANGUAGE, options);
+      for (const videoId of videoIds) {
+        await this.finalizeRecording(videoId, planItems);
+      }
+    } catch (e) {
+      console.error(e);
+      this.recordHistory(StreamHistoryAction.FAILED, planId, undefined, undefined, "", e);
+      alert(Localization.translate("alert.finalizeFailed", { error: e.message }));
+    }
   }
-}
-
-/**
- * Manages the streams that are created and uploaded to YouTube.
- */
-class StreamManager {
-  // TODO: Make all of these static constants configurable.
-  static PLAYLIST_ID = "PL-sPk2tbAU2OVb91U_ij-3uHkSjJR2N--";
-  static PREACHER_NOTE_CATEGORY = "Spreker";
-  static THEME_NOTE_CATEGORY = "Thema";
-  static DESCRIPTION_TEMPLATE = [
-    "De diensten beginnen elke zondag om 10:00 uur.",
-    "",
-    "Liederen",
-    "{SONGS}",
-    "",
-    "Informatie",
-    "Wil je meer weten over kerk De Fontein of in contact komen met ons? Bezoek dan onze website https://www.kerkdefontein.nl/",
-    "Liever mailen? Dat kan via info@kerkdefontein.nl",
-  ].join("\n");
 
   /**
-   * The YouTube stream service used to interact with the YouTube API.
-   * @type {YouTubeAPIService}
+   * Writes the chapters of a recording, as offsets from the actual start of the stream, to its description.
+   * @param {string} videoId
+   * @param {{items: object[], itemTimes: object[]}} planItems
    */
-  youtubeApiService;
+  async finalizeRecording(videoId, { items, itemTimes }) {
+    const broadcast = await this.youtubeApiService.fetchStream(videoId);
+    if (!broadcast) {
+      alert(Localization.translate("alert.streamNotFound", { videoId }));
+      return;
+    }
 
-  /**
-   * The PlanningCenter service used to interact with the PlanningCenter API.
-   * @type {PlanningCenterService}
-   */
-  planningCenterService;
+    const title = broadcast.snippet.title;
+    if (!broadcast.snippet.actualStartTime) {
+      alert(Localization.translate("alert.notStarted", { title }));
+      return;
+    }
+
+    const startTime = new Date(broadcast.snippet.actualStartTime);
+    const endTime = broadcast.snippet.actualEndTime ? new Date(broadcast.snippet.actualEndTime) : new Date();
+    const minItemLength = Number(this.settingsService.get(SettingsService.CHAPTER_MIN_ITEM_LENGTH_KEY));
+    const chapters = YouTubeChapters.fromItemTimes(items, itemTimes, startTime, endTime, minItemLength);
+    if (chapters.length === 0) {
+      alert(Localization.translate("alert.tooFewChapters", { title, count: YouTubeChapters.MIN_CHAPTERS }));
+      return;
+    }
+
+    const video = await this.youtubeApiService.fetchVideo(videoId);
+    const oldDescription = video.snippet.description ?? "";
+    const newDescription = YouTubeStreamFilter.filterDescription(YouTubeChapters.replaceInDescription(oldDescription, YouTubeChapters.render(chapters)));
+    if (newDescription === oldDescription) {
+      alert(Localization.translate("alert.chaptersUpToDate", { title }));
+      return;
+    }
+
+    const changes = [{ label: Localization.translate("stream.description"), oldValue: oldDescription, newValue: newDescription }];
+    const confirmed = await this.domService.confirmStreamSync(broadcast, changes, Localization.translate("finalizeDialog.title", { title }));
+    if (!confirmed) {
+      alert(Localization.translate("alert.finalizeCancelled"));
+      return;
+    }
+
+    await this.youtubeApiService.updateVideoDescription(video, newDescription);
+    alert(Localization.translate("alert.finalized", { title }));
+  }
 
   /**
-   * @param {DomService} domService
+   * Gets the broadcast options of a stream on YouTube, so a sync or update does not change them.
+   * @param {object} broadcast
+   * @returns {object}
    */
-  domService;
+  getBroadcastContentDetails(broadcast) {
+    const contentDetails = {};
+    for (const property of [...YouTubeStream.CONTENT_DETAIL_FLAGS, "latencyPreference", "monitorStream"]) {
+      if (broadcast.contentDetails?.[property] !== undefined) {
+        contentDetails[property] = broadcast.contentDetails[property];
+      }
+    }
+
+    return contentDetails;
+  }
 
   /**
-   * @param {YouTubeAPIService} youtubeApiService
-   * @param {PlanningCenterService} planningCenterService
-   * @param {DomService} domService
+   * Copies the monitor stream options of an existing stream, so an update does not change its monitor stream and delay.
+   * @param {string} videoId
+   * @param {YouTubeStream} stream - The new details of the stream.
    */
-  constructor(youtubeApiService, planningCenterService, domService) {
-    this.youtubeApiService = youtubeApiService;
-    this.planningCenterService = planningCenterService;
-    this.domService = domService;
+  async keepMonitorStream(videoId, stream) {
+    const broadcast = await this.youtubeApiService.fetchStream(videoId);
+    if (broadcast?.contentDetails?.monitorStream) {
+      stream.setContentDetails({ monitorStream: broadcast.contentDetails.monitorStream });
+    }
   }
 
   /**
-   * Initializes the stream manager.
+   * Adds a stream to a playlist if it is not in the playlist yet.
+   * @param {string} playlistId
+   * @param {string} videoId
+   * @returns {Promise<boolean>} whether the stream was added to the playlist.
    */
-  async init() {
-    console.debug("Initializing stream manager.");
+  async ensureInPlaylist(playlistId, videoId) {
+    if (!playlistId || await this.youtubeApiService.isInPlaylist(playlistId, videoId)) {
+      return false;
+    }
 
-    const planId = this.domService.getPlanId();
-    const streamButton = await this.domService.createStreamButton();
+    const playlistItem = new PlaylistItem();
+    playlistItem.setId(playlistId);
+    playlistItem.setVideoId(videoId);
 
-    streamButton?.addEventListener("click", () => this.onStreamButtonClick(planId));
+    await this.addToPlaylist(playlistItem);
+    return true;
+  }
+
+  async getNoteVideoIds(planId) {
+    try {
+      return await this.streamNoteService.getVideoIds(planId);
+    } catch (e) {
+      console.error(e);
+      return [];
+    }
   }
 
   /**
-   * Creates a stream and uploads it to YouTube.
-   * @param {number} planId - The ID of the plan to create a stream for.
+   * Looks for an upcoming stream that belongs to a plan.
+   * A stream belongs to a plan when it was created for the plan, or when its title and start time match.
+   * @param {number} planId
+   * @param {YouTubeStream} stream - The stream generated from the plan.
+   * @param {PlanContext} context
+   * @param {object|undefined} serviceTime - The service time the stream is for.
+   * @returns {Promise<object|undefined>} the liveBroadcast resource of the existing stream.
    */
-  async onStreamButtonClick(planId) {
-    console.debug("Stream button clicked.");
-
-    const stream = await this.getStreamFromPlanId(planId);
+  async findExistingStream(planId, stream, context, serviceTime) {
+    const upcomingStreams = await this.youtubeApiService.fetchUpcomingStreams();
+    const linkedVideoIds = await this.getLinkedVideoIds(planId);
 
-    const confirmed = this.domService.confirmStreamCreation(stream);
-    if (confirmed) {
-      const videoId = await this.createStream(stream);
-      console.debug(`Livestream video id: ${videoId}`);
-
-      console.info("Adding livestream to playlist");
+    return this.matchExistingStream(upcomingStreams, linkedVideoIds, stream, context, serviceTime);
+  }
 
-      const playlistItem = new PlaylistItem();
-      playlistItem.setId(StreamManager.PLAYLIST_ID);
-      playlistItem.setVideoId(videoId);
+  /**
+   * Looks for the stream of a service among the upcoming streams that were already fetched.
+   * @param {object[]} upcomingStreams - The liveBroadcast resources of the upcoming streams of the channel.
+   * @param {string[]} linkedVideoIds - The ids of the videos that are linked to the plan.
+   * @param {YouTubeStream} stream - The stream generated from the plan.
+   * @param {PlanContext} context
+   * @param {object|undefined} serviceTime - The service time the stream is for.
+   * @returns {object|undefined} the liveBroadcast resource of the existing stream.
+   */
+  matchExistingStream(upcomingStreams, linkedVideoIds, stream, context, serviceTime) {
+    // A plan with several services has a stream for every service, so a linked stream only counts for its own service.
+    return upcomingStreams.find((broadcast) => linkedVideoIds.includes(broadcast.id)
+      && this.findServiceTime(context.serviceTimes, new Date(broadcast.snippet.scheduledStartTime)) === serviceTime)
+      ?? upcomingStreams.find((broadcast) => this.isSameStream(broadcast, stream));
+  }
 
-      await this.addToPlaylist(playlistItem);
+  /**
+   * Finds the service of a plan that a stream belongs to, by its start time.
+   * @param {object[]} serviceTimes - The service times of the plan.
+   * @param {Date} startTime - The scheduled start time of the stream.
+   * @returns {object|undefined} the service time that starts closest to the stream, or undefined if the plan has no service times.
+   */
+  findServiceTime(serviceTimes, startTime) {
+    const settings = this.settingsService.getAll();
+    const getDifference = (serviceTime) => Math.abs(this.getStartTime(new Date(serviceTime.attributes.starts_at), settings) - startTime);
 
-      alert("Stream created!");
-    } else {
-      alert("Stream creation cancelled.");
-    }
+    return serviceTimes.reduce((closest, serviceTime) => {
+      return !closest || getDifference(serviceTime) < getDifference(closest) ? serviceTime : closest;
+    }, undefined);
   }
 
-  async getStreamFromPlanId(planId) {
-    const planData = await this.planningCenterService.fetchPlan(planId);
-    console.debug("Plan data:", planData);
+  isSameStream(broadcast, stream) {
+    const scheduledStartTime = new Date(broadcast.snippet.scheduledStartTime).getTime();
+    const difference = Math.abs(scheduledStartTime - stream.getStartTime().getTime());
 
-    const notes = await this.planningCenterService.fetchNotes(planId);
-    console.debug("Notes:", notes);
+    return broadcast.snippet.title === stream.getTitle()
+      && difference <= StreamManager.SAME_START_TIME_TOLERANCE_MS;
+  }
 
-    const description = await this.getDescription(planId);
-    console.debug("Description:", description);
+  /**
+   * Generates the stream of a service of a plan.
+   * @param {PlanContext} context
+   * @param {object|undefined} serviceTime - The service time, or undefined to use the start time of the plan.
+   * @param {boolean} withThumbnail - Whether to draw the thumbnail, which is only uploaded for new streams.
+   * @returns {Promise<YouTubeStream>}
+   */
+  async getStreamFromContext(context, serviceTime, withThumbnail = true) {
+    const settings = this.settingsService.getAll();
 
-    const title = this.getTitle(planData, notes);
-    console.debug("Title:", title);
+    const title = this.getTitle(context, settings, serviceTime);
+    DebugLogging.debug("Title:", title);
 
-    const date = this.getDate(planData);
+    const description = this.getDescription(context, settings);
+    DebugLogging.debug("Description:", description);
 
-    return new YouTubeStream()
+    const stream = YouTubeStreamFilter.filter(new YouTubeStream()
       .setTitle(title)
       .setDescription(description)
-      .setStartTime(date);
-  }
-
-  getTitle(planData, notes) {
-    const date = this.getFormattedDate(planData);
-    console.debug("Date:", date);
-
-    const preacher = this.getPreacher(notes);
-    console.debug("Preacher:", preacher);
-
-    const theme = this.getTheme(notes);
-    console.debug("Theme:", theme);
+      .setStartTime(this.getStartTime(serviceTime ? new Date(serviceTime.attributes.starts_at) : context.startTime, settings))
+      .setVisibility(settings[SettingsService.DEFAULT_VISIBILITY_KEY])
+      .setPlaylistId(settings[SettingsService.PLAYLIST_ID_KEY])
+      .setContentDetails(this.getDefaultContentDetails(settings))
+      .setMadeForKids(settings[SettingsService.MADE_FOR_KIDS_KEY] === "true"));
+
+    if (withThumbnail && this.settingsService.getBoolean(SettingsService.THUMBNAIL_ENABLED_KEY)) {
+      stream.setThumbnail(await this.getThumbnail(context, settings));
+    }
 
-    return `${theme} | ${preacher} | ${date}`;
+    return stream;
   }
 
-  getFormattedDate(planData) {
-    const rawDate = this.getDate(planData);
-    return DateFormatter.format(rawDate);
+  /**
+   * Gets the time at which the stream of a service starts, which can be some time before the service.
+   * @param {Date} serviceStartTime
+   * @param {Object<string, string>} settings
+   * @returns {Date}
+   */
+  getStartTime(serviceStartTime, settings) {
+    return new Date(serviceStartTime.getTime() - this.getPreRollMs(settings));
   }
 
-  getDate(planData) {
-    const now = new Date();
-
-    console.debug("Date attributes:", planData.data.attributes);
-
-    // PlanningCenter stores dates in UTC, so we need to convert it to local time to match the date & time with the UI.
-    const utcDate = new Date(planData.data.attributes.sort_date);
-
-    // The timezone offset is in minutes, so we need to convert it to milliseconds.
-    const localOffsetMs = utcDate.getTimezoneOffset() * 60 * 1000;
-    let plannedDate = new Date(utcDate.getTime() + localOffsetMs);
+  /**
+   * @param {Object<string, string>} settings
+   * @returns {number} the time between the start of the stream and the start of the service.
+   */
+  getPreRollMs(settings) {
+    return Number(settings[SettingsService.PRE_ROLL_MINUTES_KEY]) * 60 * 1000;
+  }
 
-    // If the planned date is in the past, we need to schedule the stream for the future.
-    if (plannedDate < now) {
-      // add 5 minutes to the current time to prevent scheduling a stream in the past.
-      plannedDate = new Date(now.getTime() + 5 * 60 * 1000);
+  /**
+   * Gets the broadcast options that the team configured as defaults.
+   * @param {Object<string, string>} settings
+   * @returns {object}
+   */
+  getDefaultContentDetails(settings) {
+    const contentDetails = {
+      latencyPreference: settings[SettingsService.LATENCY_PREFERENCE_KEY],
+    };
+    for (const flag of YouTubeStream.CONTENT_DETAIL_FLAGS) {
+      contentDetails[flag] = settings[SettingsService.CONTENT_DETAIL_SETTING_KEYS[flag]] === "true";
     }
 
-    console.debug(`Planned date: ${plannedDate.toISOString()}`);
-
-    return plannedDate;
+    return contentDetails;
   }
 
-  async getDescription(planId) {
-    const songs = await this.planningCenterService.fetchSongs(planId);
-    console.debug("Songs:", songs);
+  /**
+   * Draws the thumbnail of a stream, a stream without thumbnail keeps the default thumbnail of YouTube.
+   * @param {PlanContext} context
+   * @param {Object<string, string>} settings
+   * @returns {Promise<HTMLCanvasElement|undefined>}
+   */
+  async getThumbnail(context, settings) {
+    try {
+      return await ThumbnailRenderer.render(context, settings);
+    } catch (e) {
+      console.error("Could not generate the thumbnail.", e);
+      return undefined;
+    }
+  }
 
-    const songLines = songs.map((song) => {
-      const title = song.data.attributes.title;
-      const author = song.data.attributes.author;
-      return `${title} - ${author}`;
-    });
+  /**
+   * Renders the title of a stream, with the time of the service when the plan has several services.
+   * @param {PlanContext} context
+   * @param {Object<string, string>} settings
+   * @param {object|undefined} serviceTime
+   * @returns {string}
+   */
+  getTitle(context, settings, serviceTime = undefined) {
+    const title = TemplateRenderer.render(settings[SettingsService.TITLE_TEMPLATE_KEY], context, settings);
+    if (!serviceTime || context.serviceTimes.length <= 1) {
+      return title;
+    }
 
-    return StreamManager.DESCRIPTION_TEMPLATE.replace("{SONGS}", songLines.join("\n"));
+    // The title is shortened so the suffix is not cut off by the maximum title length.
+    const suffix = ` (${this.formatServiceTime(context, serviceTime)})`;
+    const maxLength = YouTubeStreamValidator.MAX_TITLE_LENGTH - YouTubeStreamValidator.getLength(suffix);
+    return YouTubeStreamFilter.shorten(YouTubeStreamFilter.filterTitle(title), maxLength) + suffix;
   }
 
-  getPreacher(notes) {
-    return notes.data.filter((note) => note.attributes.category_name === StreamManager.PREACHER_NOTE_CATEGORY)[0].attributes.content;
+  /**
+   * @param {PlanContext} context
+   * @param {object} serviceTime
+   * @returns {string} the time at which the service starts, e.g. "09:00".
+   */
+  formatServiceTime(context, serviceTime) {
+    const locale = this.settingsService.get(SettingsService.DATE_LOCALE_KEY);
+    return DateFormatter.formatPattern(new Date(serviceTime.attributes.starts_at), StreamManager.SERVICE_TIME_PATTERN, locale, context.timeZone);
   }
 
-  getTheme(notes) {
-    return notes.data.filter((note) => note.attributes.category_name === StreamManager.THEME_NOTE_CATEGORY)[0].attributes.content;
+  /**
+   * @param {PlanContext} context
+   * @param {Object<string, string>} settings
+   * @returns {string}
+   */
+  getDescription(context, settings) {
+    return TemplateRenderer.render(settings[SettingsService.DESCRIPTION_TEMPLATE_KEY], context, settings);
   }
 
   /**
@@ -1143,6 +7576,7 @@ class StreamManager {
    */
   async createStream(stream) {
     console.info("Creating stream.", stream);
+    YouTubeStreamValidator.validate(stream);
     const videoId = await this.youtubeApiService.uploadStream(stream);
     console.info("Stream uploaded.");
     return videoId;
@@ -1177,39 +7611,88 @@ class URLWatcher {
   lastUrl;
 
   /**
-   * Used to check for changes in the URL.
+   * Checks whether the page replaced the elements the buttons were added to, without changing the URL.
+   * @type {Function} returns true when the callback should run again
+   */
+  isPageOutdated;
+
+  /**
+   * Used to detect navigation within the page, and elements that were replaced by the page.
    * @type {MutationObserver} used to detect changes in the DOM
    */
   observer;
 
-  static INTERVAL_DELAY_IN_MS = 500;
+  /**
+   * Whether a check of the page is scheduled, so many DOM changes at once only check it once.
+   * @type {boolean}
+   */
+  isCheckScheduled = false;
 
   static OBSERVER_CONFIG = {
     subtree: true,
     childList: true,
   };
 
-  constructor(callback) {
+  /**
+   * @param {Function} callback
+   * @param {Function} isPageOutdated
+   */
+  constructor(callback, isPageOutdated) {
     this.callback = callback;
+    this.isPageOutdated = isPageOutdated;
     this.lastUrl = location.href;
   }
 
   init() {
-    setInterval(() => this.callback(), URLWatcher.INTERVAL_DELAY_IN_MS);
+    // The page changes the DOM whenever it navigates, so the observer also notices URL changes made with the history API.
+    window.addEventListener("popstate", this.onUrlChange);
+
+    this.observer = new MutationObserver(() => this.scheduleCheck());
+    this.observer.observe(document.body, URLWatcher.OBSERVER_CONFIG);
+
+    this.callback();
   }
 
-  hookHistoryMethod(method) {
-    const original = history[method];
-    history[method] = (...args) => {
-      original.apply(history, args);
-      window.dispatchEvent(new Event("urlChange"));
-    };
+  /**
+   * Calls the callback when the URL changed.
+   */
+  onUrlChange = () => {
+    if (location.href === this.lastUrl) {
+      return;
+    }
+
+    DebugLogging.debug(`URL changed from ${this.lastUrl} to ${location.href}`);
+    this.lastUrl = location.href;
+    this.callback();
+  };
+
+  scheduleCheck() {
+    if (this.isCheckScheduled) {
+      return;
+    }
+
+    this.isCheckScheduled = true;
+    setTimeout(() => {
+      this.isCheckScheduled = false;
+      this.check();
+    });
+  }
+
+  /**
+   * Calls the callback when the URL changed, or when the page replaced the elements the buttons were added to.
+   */
+  check() {
+    if (location.href !== this.lastUrl) {
+      this.onUrlChange();
+    } else if (this.isPageOutdated()) {
+      DebugLogging.debug("The page replaced the buttons, adding them again.");
+      this.callback();
+    }
   }
 
   disconnect() {
     this.disconnectObserver();
     window.removeEventListener("popstate", this.onUrlChange);
-    window.removeEventListener("urlChange", this.onUrlChange);
   }
 
   disconnectObserver() {
@@ -1219,14 +7702,100 @@ class URLWatcher {
   }
 }
 
+/**
+ * Registers the commands in the menu of the userscript manager.
+ */
+class MenuCommands {
+  /**
+   * @type {AuthService}
+   */
+  authService;
+
+  /**
+   * @type {SettingsPanel}
+   */
+  settingsPanel;
+
+  /**
+   * @type {DomService}
+   */
+  domService;
+
+  /**
+   * @type {StreamHistoryStorage}
+   */
+  streamHistoryStorage;
+
+  /**
+   * @param {AuthService} authService
+   * @param {SettingsPanel} settingsPanel
+   * @param {DomService} domService
+   * @param {StreamHistoryStorage} streamHistoryStorage
+   */
+  constructor(authService, settingsPanel, domService, streamHistoryStorage) {
+    this.authService = authService;
+    this.settingsPanel = settingsPanel;
+    this.domService = domService;
+    this.streamHistoryStorage = streamHistoryStorage;
+  }
+
+  /**
+   * Adds the commands to the menu of the userscript manager.
+   */
+  register() {
+    const commands = {
+      "menu.settings": () => this.settingsPanel.open(),
+      "menu.logout": () => this.onLogout(),
+      "menu.resetClientId": () => this.onResetClientId(),
+      "menu.history": () => this.domService.showStreamHistory(this.streamHistoryStorage.loadAll()),
+      "menu.debugLogging": () => this.onToggleDebugLogging(),
+    };
+
+    for (const [key, command] of Object.entries(commands)) {
+      // eslint-disable-next-line no-undef
+      GM_registerMenuCommand(Localization.translate(key), command);
+    }
+  }
+
+  async onLogout() {
+    if (!this.authService.isAuthenticated()) {
+      alert(Localization.translate("menu.notLoggedIn"));
+      return;
+    }
+
+    await this.authService.logout();
+    alert(Localization.translate("menu.loggedOut"));
+  }
+
+  async onResetClientId() {
+    if (!confirm(Localization.translate("menu.confirmResetClientId"))) {
+      return;
+    }
+
+    await this.authService.logout();
+    this.authService.reset();
+    alert(Localization.translate("menu.clientIdReset"));
+  }
+
+  onToggleDebugLogging() {
+    const isEnabled = DebugLogging.toggle();
+    console.info(`Debug logging is ${isEnabled ? "on" : "off"}.`);
+    alert(Localization.translate(isEnabled ? "menu.debugLoggingEnabled" : "menu.debugLoggingDisabled"));
+  }
+}
+
 class App {
   authService;
   streamManager;
+  menuCommands;
   watcher;
 
   static PLANS_PAGE_PREFIX = "/plans/";
 
   constructor() {
+    DebugLogging.load();
+    const settingsService = new SettingsService();
+    Localization.setLanguage(settingsService.get(SettingsService.UI_LANGUAGE_KEY));
     const tokenService = new TokenService();
     const clientIdService = new ClientIdService();
     this.authService = new AuthService(tokenService, clientIdService);
@@ -1234,14 +7803,22 @@ class App {
     const youtubeApiService = new YouTubeAPIService(apiService);
     this.domService = new DomService(youtubeApiService);
     const planningCenterService = new PlanningCenterService();
-    this.streamManager = new StreamManager(youtubeApiService, planningCenterService, this.domService);
-    this.watcher = new URLWatcher(() => this.update());
+    const planContextService = new PlanContextService(planningCenterService);
+    const settingsPanel = new SettingsPanel(settingsService, planContextService, this.domService, youtubeApiService, this.authService);
+    const planStreamStorage = new PlanStreamStorage();
+    const streamNoteService = new StreamNoteService(planningCenterService, settingsService);
+    const channelService = new ChannelService(youtubeApiService, this.authService);
+    const streamHistoryStorage = new StreamHistoryStorage();
+    this.streamManager = new StreamManager(youtubeApiService, planContextService, this.domService, settingsService, settingsPanel, planStreamStorage, streamNoteService, planningCenterService, channelService, streamHistoryStorage, this.authService);
+    this.menuCommands = new MenuCommands(this.authService, settingsPanel, this.domService, streamHistoryStorage);
+    this.watcher = new URLWatcher(() => this.update(), () => this.isPageOutdated());
   }
 
   /**
    * Creates a new instance of the application.
    */
   async init() {
+    this.menuCommands.register();
     await this.authService.init();
     this.watcher.init();
   }
@@ -1250,24 +7827,40 @@ class App {
    * Runs the application.
    */
   async run() {
-    await this.streamManager.init();
+    await this.streamManager.showPlan();
   }
 
   /**
    * Checks whether the application should run and runs it if it should.
    */
   update() {
-    if (this.shouldRun()) {
+    if (this.domService.isPlanPage()) {
       this.run();
+    } else {
+      this.streamManager.removePlanButtons();
+    }
+
+    if (this.shouldRunOnServiceTypePage()) {
+      this.streamManager.initServiceTypePage();
+    } else if (!this.domService.isServiceTypePage()) {
+      this.domService.removeBulkButton();
     }
   }
 
   /**
-   * Checks whether the application should run.
+   * Checks whether the buttons of the current page are missing, e.g. because the page replaced the elements they were added to.
+   * @returns {boolean}
+   */
+  isPageOutdated() {
+    return (this.domService.isPlanPage() && !this.domService.streamButtonExists()) || this.shouldRunOnServiceTypePage();
+  }
+
+  /**
+   * Checks whether the application should run on a service type page.
    * @returns {boolean}
    */
-  shouldRun() {
-    return this.domService.isPlanPage() && !this.domService.streamButtonExists();
+  shouldRunOnServiceTypePage() {
+    return this.domService.isServiceTypePage() && !this.domService.bulkButtonExists();
   }
 }
 